@@ -0,0 +1,206 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - IMAGE ATTACHMENTS
+ * Images that travel with an agent message, either uploaded first (POST /api/attachments
+ * with the raw image as the body) or sent inline as { name, mediaType, data } with base64
+ * data. Each image is stored once per workspace and agent memory refers to it by id, so
+ * later turns still show it to the model. The type is read from the file's own bytes:
+ * PNG, JPEG, GIF and WebP, which every vision model accepts
+ * Only { id, workspaceId, name, mediaType, size } stays in memory; the bytes are a blob of
+ * their own (DATA_DIRECTORY/attachments/<id> with the file store), read when a prompt needs them
+ * ATTACHMENT_MAX_BYTES caps each image (default 5 MB, Anthropic's per-image limit)
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES) || 5 * 1024 * 1024;
+const MAX_ATTACHMENTS = 10;
+const BASE64 = /^[A-Za-z0-9+/]*={0,2}$/;
+
+class AttachmentError extends Error {
+    constructor(message, status = 400, code = 'INVALID_ATTACHMENT') {
+        super(message);
+        this.name = 'AttachmentError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Media type from the file signature, or null when it is not a supported image
+function detectImageType(buffer) {
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'image/png';
+    }
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))) {
+        return 'image/gif';
+    }
+    if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+    return null;
+}
+
+// Media type of an acceptable image; throws for empty, oversized or unsupported files
+function checkImage(buffer) {
+    if (buffer.length === 0) {
+        throw new AttachmentError('Attachment is empty');
+    }
+    if (buffer.length > MAX_ATTACHMENT_BYTES) {
+        throw new AttachmentError(`Attachments must be at most ${MAX_ATTACHMENT_BYTES} bytes`, 413, 'ATTACHMENT_TOO_LARGE');
+    }
+    const mediaType = detectImageType(buffer);
+    if (!mediaType) {
+        throw new AttachmentError(`Only ${IMAGE_TYPES.join(', ')} images can be attached`, 415, 'UNSUPPORTED_MEDIA_TYPE');
+    }
+    return mediaType;
+}
+
+// Accepts bare base64 or a data: URL
+function decodeBase64(data) {
+    const encoded = String(data).replace(/^data:[^;,]+;base64,/, '').replace(/\s/g, '');
+    if (!BASE64.test(encoded) || encoded.length % 4 === 1) {
+        throw new AttachmentError('Attachment data must be base64 encoded');
+    }
+    return Buffer.from(encoded, 'base64');
+}
+
+// The { id, name, mediaType, size } reference kept in memory and returned to clients
+function describe(record) {
+    return { id: record.id, name: record.name, mediaType: record.mediaType, size: record.size };
+}
+
+// What is persisted for an attachment
+function metadata(record) {
+    return { id: record.id, workspaceId: record.workspaceId, name: record.name, mediaType: record.mediaType, size: record.size };
+}
+
+// Message content as OpenAI content parts; images whose files are gone become a note
+async function contentParts(text, references, attachments) {
+    const urls = await Promise.all(references.map(reference => attachments.dataUrl(reference.id)));
+    return [
+        { type: 'text', text: String(text) },
+        ...references.map((reference, index) => (urls[index]
+            ? { type: 'image_url', image_url: { url: urls[index] } }
+            : { type: 'text', text: `[image ${reference.name} is no longer available]` }))
+    ];
+}
+
+class AttachmentStore {
+    constructor(store) {
+        this.store = store;
+        this.attachments = new Map();
+    }
+
+    // Records written before the bytes moved to blobs still carry them as base64 data
+    async load() {
+        for (const record of await this.store.list('attachments')) {
+            if (record.data !== undefined) {
+                await this.store.putBlob('attachments', record.id, Buffer.from(record.data, 'base64'));
+                await this.store.put('attachments', metadata(record));
+            }
+            this.attachments.set(record.id, metadata(record));
+        }
+    }
+
+    async save({ workspaceId = null, name, buffer }) {
+        const mediaType = checkImage(buffer);
+        const record = {
+            id: uuidv4(),
+            workspaceId,
+            name: String(name || `image.${mediaType.split('/')[1]}`).slice(0, 255),
+            mediaType,
+            size: buffer.length
+        };
+        // The bytes are written before the record exists, so a listed attachment always has them
+        await this.store.putBlob('attachments', record.id, buffer);
+        this.attachments.set(record.id, record);
+        this.store.put('attachments', record).catch((error) => {
+            console.error('Failed to persist attachment:', error);
+        });
+        return record;
+    }
+
+    get(id) {
+        return this.attachments.get(id) || null;
+    }
+
+    // The image bytes, or null when the attachment or its blob is gone
+    async read(id) {
+        return this.get(id) ? this.store.getBlob('attachments', id) : null;
+    }
+
+    async dataUrl(id) {
+        const buffer = await this.read(id);
+        return buffer ? `data:${this.get(id).mediaType};base64,${buffer.toString('base64')}` : null;
+    }
+
+    // Request attachments ({ id } of an upload, or inline { name, mediaType, data }) to stored
+    // records in the given workspace. A declared mediaType must match the bytes. Everything is
+    // checked before any inline image is stored
+    async resolve(items = [], { workspaceId = null } = {}) {
+        if (items.length > MAX_ATTACHMENTS) {
+            throw new AttachmentError(`At most ${MAX_ATTACHMENTS} attachments per message`);
+        }
+        const checked = items.map((item) => {
+            if (item.id) {
+                const record = this.get(item.id);
+                if (!record || record.workspaceId !== workspaceId) {
+                    throw new AttachmentError(`Attachment not found: ${item.id}`, 404, 'NOT_FOUND');
+                }
+                return { record };
+            }
+            if (!item.data) {
+                throw new AttachmentError('Attachments need the id of an upload or base64 data');
+            }
+            const buffer = decodeBase64(item.data);
+            const detected = checkImage(buffer);
+            if (item.mediaType && item.mediaType !== detected) {
+                throw new AttachmentError(`Attachment data is ${detected}, not ${item.mediaType}`);
+            }
+            return { name: item.name, buffer };
+        });
+
+        const records = [];
+        try {
+            for (const item of checked) {
+                records.push(item.record || await this.save({ workspaceId, name: item.name, buffer: item.buffer }));
+            }
+        } catch (error) {
+            this.discard(records.filter((record, index) => !checked[index].record));
+            throw error;
+        }
+        return records;
+    }
+
+    delete(id) {
+        const record = this.get(id);
+        if (!record) {
+            throw new AttachmentError('Attachment not found', 404, 'NOT_FOUND');
+        }
+        this.attachments.delete(id);
+        this.store.delete('attachments', id)
+            .then(() => this.store.deleteBlob('attachments', id))
+            .catch((error) => {
+                console.error(`Failed to delete attachment ${id}:`, error);
+            });
+        return record;
+    }
+
+    discard(records) {
+        records.filter(record => this.get(record.id)).forEach(record => this.delete(record.id));
+    }
+}
+
+module.exports = {
+    AttachmentStore,
+    AttachmentError,
+    IMAGE_TYPES,
+    MAX_ATTACHMENT_BYTES,
+    MAX_ATTACHMENTS,
+    contentParts,
+    describe,
+    detectImageType
+};
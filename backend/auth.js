@@ -0,0 +1,222 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - AUTHENTICATION
+ * User accounts with bcrypt password hashes, login sessions and per-user API keys
+ * Session tokens look like "<sessionId>.<secret>" and API keys like
+ * "dao_<keyId>_<secret>"; only an HMAC of the secret (keyed with SESSION_SECRET)
+ * is stored, so a leaked data directory does not leak usable credentials
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+
+const BCRYPT_ROUNDS = 12;
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+
+class AuthError extends Error {
+    constructor(message, status = 401, code = 'AUTH_REQUIRED') {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+class AuthService {
+    constructor(store, {
+        secret = process.env.SESSION_SECRET,
+        sessionMaxAge = parseInt(process.env.SESSION_MAX_AGE) || 7 * 24 * 60 * 60 * 1000,
+        allowRegistration = process.env.ALLOW_REGISTRATION === 'true'
+    } = {}) {
+        if (!secret) {
+            console.warn('⚠️  SESSION_SECRET is not set; using a random secret (logins will not survive a restart)');
+            secret = crypto.randomBytes(32).toString('hex');
+        }
+
+        this.store = store;
+        this.secret = secret;
+        this.sessionMaxAge = sessionMaxAge;
+        this.allowRegistration = allowRegistration;
+    }
+
+    digest(value) {
+        return crypto.createHmac('sha256', this.secret).update(value).digest('hex');
+    }
+
+    matches(value, digest) {
+        const expected = Buffer.from(digest, 'hex');
+        const actual = Buffer.from(this.digest(value), 'hex');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    publicUser(user) {
+        return { id: user.id, username: user.username, created: user.created };
+    }
+
+    async findUserByUsername(username) {
+        const users = await this.store.list('users');
+        return users.find(user => user.username === username) || null;
+    }
+
+    // The first account can always be created; after that registration needs
+    // ALLOW_REGISTRATION=true or an already signed-in user creating a colleague
+    async register(username, password, createdBy = null) {
+        const users = await this.store.list('users');
+        if (users.length > 0 && !this.allowRegistration && !createdBy) {
+            throw new AuthError('Registration is closed; ask an existing user to create your account', 403, 'REGISTRATION_CLOSED');
+        }
+
+        const normalized = String(username || '').trim().toLowerCase();
+        if (!USERNAME_PATTERN.test(normalized)) {
+            throw new AuthError('Username must be 3-32 characters of letters, digits, dot, dash or underscore', 400, 'INVALID_USERNAME');
+        }
+        if (typeof password !== 'string' || password.length < 8) {
+            throw new AuthError('Password must be at least 8 characters', 400, 'WEAK_PASSWORD');
+        }
+        if (users.some(user => user.username === normalized)) {
+            throw new AuthError('Username already taken', 409, 'USERNAME_TAKEN');
+        }
+
+        const user = {
+            id: uuidv4(),
+            username: normalized,
+            passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+            createdBy,
+            created: Date.now()
+        };
+        await this.store.put('users', user);
+        return this.publicUser(user);
+    }
+
+    async login(username, password) {
+        const user = await this.findUserByUsername(String(username || '').trim().toLowerCase());
+        // Compare against a dummy hash for unknown users so timing does not reveal which usernames exist
+        if (!this.dummyHash) {
+            this.dummyHash = await bcrypt.hash(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+        }
+        const valid = await bcrypt.compare(String(password || ''), user ? user.passwordHash : this.dummyHash);
+        if (!user || !valid) {
+            throw new AuthError('Invalid username or password', 401, 'INVALID_CREDENTIALS');
+        }
+
+        const secret = crypto.randomBytes(32).toString('hex');
+        const session = {
+            id: uuidv4(),
+            userId: user.id,
+            digest: this.digest(secret),
+            created: Date.now(),
+            expires: Date.now() + this.sessionMaxAge
+        };
+        await this.store.put('authSessions', session);
+
+        return { token: `${session.id}.${secret}`, expires: session.expires, user: this.publicUser(user) };
+    }
+
+    async logout(token) {
+        const [sessionId] = String(token || '').split('.');
+        await this.store.delete('authSessions', sessionId);
+    }
+
+    async pruneSessions() {
+        for (const session of await this.store.list('authSessions')) {
+            if (session.expires <= Date.now()) {
+                await this.store.delete('authSessions', session.id);
+            }
+        }
+    }
+
+    async createApiKey(userId, name = 'API key') {
+        const keyId = crypto.randomBytes(6).toString('hex');
+        const secret = crypto.randomBytes(24).toString('hex');
+        const apiKey = {
+            id: keyId,
+            userId,
+            name: String(name).slice(0, 100),
+            digest: this.digest(secret),
+            created: Date.now(),
+            lastUsed: null
+        };
+        await this.store.put('apiKeys', apiKey);
+
+        return { key: `dao_${keyId}_${secret}`, apiKey: this.publicApiKey(apiKey) };
+    }
+
+    publicApiKey(apiKey) {
+        return {
+            id: apiKey.id,
+            name: apiKey.name,
+            prefix: `dao_${apiKey.id}_`,
+            created: apiKey.created,
+            lastUsed: apiKey.lastUsed
+        };
+    }
+
+    async listApiKeys(userId) {
+        const keys = await this.store.list('apiKeys');
+        return keys.filter(key => key.userId === userId).map(key => this.publicApiKey(key));
+    }
+
+    async revokeApiKey(userId, keyId) {
+        const apiKey = await this.store.get('apiKeys', keyId);
+        if (!apiKey || apiKey.userId !== userId) {
+            throw new AuthError('API key not found', 404, 'NOT_FOUND');
+        }
+        await this.store.delete('apiKeys', keyId);
+    }
+
+    // Resolves a session token or API key to its user, or throws AuthError
+    async authenticate(credential) {
+        if (!credential) {
+            throw new AuthError('Authentication required');
+        }
+
+        let userId = null;
+        const apiKeyMatch = /^dao_([0-9a-f]+)_([0-9a-f]+)$/.exec(credential);
+
+        if (apiKeyMatch) {
+            const apiKey = await this.store.get('apiKeys', apiKeyMatch[1]);
+            if (apiKey && this.matches(apiKeyMatch[2], apiKey.digest)) {
+                userId = apiKey.userId;
+                // Only touch the store about once a minute per key, not on every request
+                if (!apiKey.lastUsed || Date.now() - apiKey.lastUsed > 60000) {
+                    apiKey.lastUsed = Date.now();
+                    this.store.put('apiKeys', apiKey).catch(() => {});
+                }
+            }
+        } else {
+            const [sessionId, secret] = credential.split('.');
+            const session = sessionId && secret ? await this.store.get('authSessions', sessionId) : null;
+            if (session && session.expires > Date.now() && this.matches(secret, session.digest)) {
+                userId = session.userId;
+            }
+        }
+
+        const user = userId ? await this.store.get('users', userId) : null;
+        if (!user) {
+            throw new AuthError('Invalid or expired credentials', 401, 'INVALID_CREDENTIALS');
+        }
+        return this.publicUser(user);
+    }
+}
+
+// Authorization: Bearer <token or API key>, or X-API-Key: <API key>
+function credentialFromRequest(req) {
+    const header = req.get('authorization') || '';
+    if (header.toLowerCase().startsWith('bearer ')) {
+        return header.slice(7).trim();
+    }
+    return req.get('x-api-key') || null;
+}
+
+function requireAuth(auth) {
+    return async (req, res, next) => {
+        try {
+            req.user = await auth.authenticate(credentialFromRequest(req));
+            next();
+        } catch (error) {
+            res.status(error.status || 401).json({ error: error.message, code: error.code || 'AUTH_REQUIRED' });
+        }
+    };
+}
+
+module.exports = { AuthService, AuthError, requireAuth, credentialFromRequest };
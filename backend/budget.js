@@ -0,0 +1,58 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - COLLABORATION BUDGETS
+ * Limits are { maxTokens, maxCost, maxDurationMs }; any field may be omitted
+ * Collaboration defaults come from COLLABORATION_MAX_* environment variables
+ */
+
+const LIMITS = ['maxTokens', 'maxCost', 'maxDurationMs'];
+
+function envLimit(name) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : undefined;
+}
+
+function defaultCollaborationBudget() {
+    return {
+        maxTokens: envLimit('COLLABORATION_MAX_TOKENS'),
+        maxCost: envLimit('COLLABORATION_MAX_COST'),
+        maxDurationMs: envLimit('COLLABORATION_MAX_DURATION_MS')
+    };
+}
+
+// Validates a user-supplied budget and fills gaps from defaults; unset limits are dropped
+function normalizeBudget(budget = {}, defaults = {}) {
+    if (budget === null || typeof budget !== 'object' || Array.isArray(budget)) {
+        throw new Error('budget must be an object with maxTokens, maxCost or maxDurationMs');
+    }
+
+    const normalized = {};
+    for (const limit of LIMITS) {
+        const value = budget[limit] ?? defaults[limit];
+        if (value === undefined || value === null) {
+            continue;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+            throw new Error(`budget.${limit} must be a positive number`);
+        }
+        normalized[limit] = value;
+    }
+    return normalized;
+}
+
+// Returns the first limit that has been reached, or null while within budget
+function exceededLimit(budget, totals, elapsedMs) {
+    const spent = {
+        maxTokens: totals.totalTokens,
+        maxCost: totals.cost,
+        maxDurationMs: elapsedMs
+    };
+
+    for (const limit of LIMITS) {
+        if (budget[limit] !== undefined && spent[limit] >= budget[limit]) {
+            return { limit, spent: spent[limit], max: budget[limit] };
+        }
+    }
+    return null;
+}
+
+module.exports = { normalizeBudget, exceededLimit, defaultCollaborationBudget };
@@ -0,0 +1,168 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - CONTEXT WINDOW
+ * Keeps an agent's prompt inside its model's context window. Token counts are
+ * estimated (~4 characters per token). Limits come from the table below; override
+ * or extend it with MODEL_CONTEXT_LIMITS (JSON) and set DEFAULT_CONTEXT_LIMIT for
+ * models it does not know. Per-agent settings { strategy, maxTokens, reserveTokens, summarizer }:
+ *   summarize - fold the oldest turns into a rolling summary message (default)
+ *   truncate  - drop the oldest turns
+ * Turns always leave memory as whole user/assistant pairs. Images count IMAGE_TOKENS each
+ * Tool results share whatever room the prompt has left and are clipped to fit it
+ */
+
+const DEFAULT_CONTEXT_LIMITS = {
+    'gpt-4': 8192,
+    'gpt-4o': 128000,
+    'gpt-4o-mini': 128000,
+    'gpt-4-turbo': 128000,
+    'gpt-3.5-turbo': 16385,
+    'claude-3': 200000,
+    'mock-echo': 8192,
+    'mock-scripted': 8192,
+    'mock-planner': 8192
+};
+
+const CONTEXT_STRATEGIES = ['summarize', 'truncate'];
+const DEFAULT_RESERVE_TOKENS = 1024;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const MAX_SUMMARY_TOKENS = 512;
+// Providers bill images by resolution; a flat figure keeps estimates simple and on the safe side
+const IMAGE_TOKENS = 1000;
+
+function estimateTokens(text) {
+    return Math.max(1, Math.ceil(String(text || '').length / 4));
+}
+
+// Content is text or a list of content parts; memory entries list their images as attachments
+// and assistant tool requests carry their arguments in tool_calls
+function messageTokens(messages) {
+    return messages.reduce((sum, message) => {
+        const parts = Array.isArray(message.content) ? message.content : [{ type: 'text', text: message.content }];
+        const calls = (message.tool_calls || []).map(call => `${call.function.name} ${call.function.arguments}`);
+        const text = [...parts.filter(part => part.type === 'text').map(part => part.text), ...calls].join('\n');
+        const images = parts.length - parts.filter(part => part.type === 'text').length + (message.attachments || []).length;
+        return sum + estimateTokens(text) + images * IMAGE_TOKENS + MESSAGE_OVERHEAD_TOKENS;
+    }, 0);
+}
+
+// Cuts text down to about `tokens` tokens, saying so when anything was left out
+function clipToTokens(text, tokens) {
+    const value = String(text || '');
+    if (estimateTokens(value) <= tokens) {
+        return value;
+    }
+    const marker = '\n[truncated to fit the context window]';
+    const length = tokens * 4 - marker.length;
+    return length > 0 ? `${value.slice(0, length)}${marker}` : '[omitted: the context window is full]';
+}
+
+function loadContextLimits() {
+    const limits = { ...DEFAULT_CONTEXT_LIMITS };
+    if (process.env.MODEL_CONTEXT_LIMITS) {
+        Object.assign(limits, JSON.parse(process.env.MODEL_CONTEXT_LIMITS));
+    }
+    return limits;
+}
+
+class ContextLimits {
+    constructor(limits = loadContextLimits(), fallback = parseInt(process.env.DEFAULT_CONTEXT_LIMIT) || 8192) {
+        this.limits = limits;
+        this.fallback = fallback;
+    }
+
+    // Exact match first, then the longest listed prefix ("claude-3" covers every Claude 3 model)
+    limitFor(model) {
+        if (Object.prototype.hasOwnProperty.call(this.limits, model)) {
+            return this.limits[model];
+        }
+        const prefix = Object.keys(this.limits)
+            .filter(key => String(model).startsWith(key))
+            .sort((a, b) => b.length - a.length)[0];
+        return prefix ? this.limits[prefix] : this.fallback;
+    }
+}
+
+// Validates per-agent settings; the summarizer target is resolved by the orchestrator
+function normalizeContextConfig(config) {
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('context must be an object with strategy, maxTokens, reserveTokens or summarizer');
+    }
+
+    const normalized = { strategy: config.strategy || 'summarize' };
+    if (!CONTEXT_STRATEGIES.includes(normalized.strategy)) {
+        throw new Error(`context.strategy must be one of ${CONTEXT_STRATEGIES.join(', ')}`);
+    }
+    for (const field of ['maxTokens', 'reserveTokens']) {
+        if (config[field] !== undefined && config[field] !== null) {
+            if (!Number.isInteger(config[field]) || config[field] <= 0) {
+                throw new Error(`context.${field} must be a positive integer`);
+            }
+            normalized[field] = config[field];
+        }
+    }
+    if (config.summarizer) {
+        normalized.summarizer = config.summarizer;
+    }
+    return normalized;
+}
+
+// Splits memory so the kept turns fit in `available` tokens. Summarizing keeps only
+// half the room so the next few turns fit without another summary call
+function planCompaction(memory, available, strategy) {
+    if (messageTokens(memory) <= available) {
+        return null;
+    }
+
+    const target = strategy === 'summarize' ? Math.floor(available / 2) : available;
+    let start = 0;
+    while (start < memory.length && messageTokens(memory.slice(start)) > target) {
+        start++;
+    }
+    // Never leave an assistant reply without the user message that prompted it
+    while (start < memory.length && memory[start].role !== 'user') {
+        start++;
+    }
+    return { older: memory.slice(0, start), recent: memory.slice(start) };
+}
+
+function summaryPrompt(previousSummary, older, maxTokens) {
+    const turns = older
+        .map((message) => {
+            const images = (message.attachments || []).map(attachment => ` [image: ${attachment.name}]`).join('');
+            return `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}${images}`;
+        })
+        .join('\n\n');
+    const words = Math.floor(maxTokens * 0.75);
+
+    return [
+        {
+            role: 'system',
+            content: 'You maintain a running summary of a conversation so it can continue without the full transcript. ' +
+                'Keep facts, decisions, open questions and stated preferences; drop pleasantries and repetition.'
+        },
+        {
+            role: 'user',
+            content: `${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ''}Older turns to fold in:\n${turns}\n\n` +
+                `Write the updated summary in at most ${words} words.`
+        }
+    ];
+}
+
+function summaryMessage(summary) {
+    return { role: 'system', content: `Summary of the earlier conversation:\n${summary}` };
+}
+
+module.exports = {
+    CONTEXT_STRATEGIES,
+    DEFAULT_RESERVE_TOKENS,
+    MAX_SUMMARY_TOKENS,
+    MESSAGE_OVERHEAD_TOKENS,
+    ContextLimits,
+    clipToTokens,
+    estimateTokens,
+    messageTokens,
+    normalizeContextConfig,
+    planCompaction,
+    summaryPrompt,
+    summaryMessage
+};
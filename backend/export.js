@@ -0,0 +1,282 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - TRANSCRIPT EXPORT
+ * Renders a collaboration (or one agent's memory) as Markdown for docs, JSON with
+ * usage and timings for tooling, or a self-contained HTML page for sharing
+ */
+
+const FORMATS = {
+    markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+    html: { extension: 'html', contentType: 'text/html; charset=utf-8' }
+};
+
+const EXPORT_VERSION = 1;
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function slugify(text) {
+    return String(text || 'export').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 50) || 'export';
+}
+
+function formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+function formatCost(cost) {
+    return `$${(cost || 0).toFixed(4)}`;
+}
+
+// "Planner · critique (openai · gpt-4o, fallback)"
+function turnHeading(turn) {
+    const name = turn.step && turn.step !== 'contribution' ? `${turn.agent.name} · ${turn.step}` : turn.agent.name;
+    const target = [turn.provider, turn.model].filter(Boolean).join(' · ');
+    return target ? `${name} (${target}${turn.fallback ? ', fallback' : ''})` : name;
+}
+
+// Normalized, machine-readable view of a collaboration shared by every format
+function collaborationDocument(collaboration, participants) {
+    const names = new Map(participants.map(p => [p.id, p.name]));
+    let previous = collaboration.started;
+
+    const turns = collaboration.conversation.map((entry, index) => {
+        const turn = {
+            index: index + 1,
+            iteration: entry.iteration,
+            step: entry.step || null,
+            agent: {
+                id: entry.agent.id,
+                name: entry.agent.name || names.get(entry.agent.id) || entry.agent.id,
+                role: entry.agent.role || null
+            },
+            provider: entry.target ? entry.target.provider : (entry.agent.provider || null),
+            model: entry.target ? entry.target.model : null,
+            fallback: !!entry.fallback,
+            response: entry.response ?? null,
+            error: entry.error || null,
+            score: entry.score ?? null,
+            usage: entry.usage || null,
+            timestamp: formatTime(entry.timestamp),
+            elapsedMs: entry.timestamp - collaboration.started,
+            turnMs: entry.timestamp - previous
+        };
+        previous = entry.timestamp;
+        return turn;
+    });
+
+    return {
+        format: 'dual-ai-collaboration',
+        version: EXPORT_VERSION,
+        exported: new Date().toISOString(),
+        collaboration: {
+            id: collaboration.id,
+            goal: collaboration.goal,
+            strategy: collaboration.strategy || 'round_robin',
+            status: collaboration.status,
+            stopReason: collaboration.stopReason || null,
+            participants,
+            started: formatTime(collaboration.started),
+            completed: formatTime(collaboration.completed),
+            durationMs: collaboration.completed ? collaboration.completed - collaboration.started : null,
+            budget: collaboration.budget || null,
+            usage: collaboration.usage || null
+        },
+        turns
+    };
+}
+
+function collaborationMarkdown(doc) {
+    const { collaboration, turns } = doc;
+    const lines = [
+        `# ${collaboration.goal}`,
+        '',
+        `- **Strategy:** ${collaboration.strategy}`,
+        `- **Status:** ${collaboration.status}${collaboration.stopReason ? ` (${collaboration.stopReason})` : ''}`,
+        `- **Agents:** ${collaboration.participants.map(p => p.name).join(', ')}`,
+        `- **Started:** ${collaboration.started}`
+    ];
+    if (collaboration.durationMs !== null) {
+        lines.push(`- **Duration:** ${(collaboration.durationMs / 1000).toFixed(1)}s`);
+    }
+    if (collaboration.usage) {
+        lines.push(`- **Tokens:** ${collaboration.usage.totalTokens} (~${formatCost(collaboration.usage.cost)})`);
+    }
+
+    let iteration = null;
+    for (const turn of turns) {
+        if (turn.iteration !== iteration) {
+            iteration = turn.iteration;
+            lines.push('', `## Round ${iteration}`);
+        }
+        lines.push('', `### ${turnHeading(turn)}`, '');
+        lines.push(turn.error ? `> ⚠️ ${turn.error}` : turn.response);
+        if (turn.score !== null) {
+            lines.push('', `_Score: ${turn.score}/10_`);
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+function htmlPage(title, subtitle, metadata, sections) {
+    const meta = metadata.map(([label, value]) => `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`).join('\n');
+    const body = sections.map(({ heading, text, error, round }) => round
+        ? `<h2>${escapeHtml(round)}</h2>`
+        : `<section class="${error ? 'turn error' : 'turn'}"><h3>${escapeHtml(heading)}</h3><div class="text">${escapeHtml(text)}</div></section>`
+    ).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 820px; margin: 2rem auto; padding: 0 1rem; color: #111827; background: #f9fafb; }
+h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+.subtitle { color: #6b7280; margin-top: 0; }
+ul.meta { list-style: none; padding: 0; color: #374151; }
+h2 { font-size: 1.1rem; color: #6b7280; border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; margin-top: 2rem; }
+.turn { background: #fff; border: 1px solid #e5e7eb; border-radius: 0.75rem; padding: 1rem; margin: 1rem 0; }
+.turn h3 { font-size: 0.95rem; margin: 0 0 0.5rem; color: #4f46e5; }
+.turn.error { border-color: #fca5a5; background: #fef2f2; }
+.turn.error h3 { color: #b91c1c; }
+.text { white-space: pre-wrap; line-height: 1.5; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="subtitle">${escapeHtml(subtitle)}</p>
+<ul class="meta">
+${meta}
+</ul>
+${body}
+</body>
+</html>
+`;
+}
+
+function collaborationHtml(doc) {
+    const { collaboration, turns } = doc;
+    const metadata = [
+        ['Strategy', collaboration.strategy],
+        ['Status', `${collaboration.status}${collaboration.stopReason ? ` (${collaboration.stopReason})` : ''}`],
+        ['Agents', collaboration.participants.map(p => p.name).join(', ')],
+        ['Started', collaboration.started]
+    ];
+    if (collaboration.usage) {
+        metadata.push(['Tokens', `${collaboration.usage.totalTokens} (~${formatCost(collaboration.usage.cost)})`]);
+    }
+
+    const sections = [];
+    let iteration = null;
+    for (const turn of turns) {
+        if (turn.iteration !== iteration) {
+            iteration = turn.iteration;
+            sections.push({ round: `Round ${iteration}` });
+        }
+        const score = turn.score !== null ? `\n\nScore: ${turn.score}/10` : '';
+        sections.push({ heading: turnHeading(turn), text: turn.error || turn.response + score, error: !!turn.error });
+    }
+
+    return htmlPage(collaboration.goal, 'Dual-AI Orchestrator collaboration', metadata, sections);
+}
+
+function memoryDocument(agent) {
+    return {
+        format: 'dual-ai-agent-memory',
+        version: EXPORT_VERSION,
+        exported: new Date().toISOString(),
+        agent: {
+            id: agent.id,
+            name: agent.name,
+            role: agent.role,
+            provider: agent.provider,
+            model: agent.model,
+            instructions: agent.instructions
+        },
+        summary: agent.summary || null,
+        messages: agent.memory.map((message, index) => ({
+            index: index + 1,
+            role: message.role,
+            content: message.content,
+            ...(message.attachments && { attachments: message.attachments })
+        }))
+    };
+}
+
+// Image files are not embedded in exports; their names mark where they were attached
+function withImageNames(message) {
+    const names = (message.attachments || []).map(attachment => attachment.name);
+    return names.length > 0 ? `${message.content}\n\n[Images: ${names.join(', ')}]` : message.content;
+}
+
+function memoryHeading(agent, message) {
+    return message.role === 'assistant' ? `${agent.name} (${agent.provider} · ${agent.model})` : 'User';
+}
+
+function memoryMarkdown(doc) {
+    const { agent, messages } = doc;
+    const lines = [
+        `# ${agent.name} memory`,
+        '',
+        `- **Role:** ${agent.role}`,
+        `- **Model:** ${agent.provider} · ${agent.model}`,
+        `- **Messages:** ${messages.length}`
+    ];
+    if (doc.summary) {
+        lines.push('', '### Summary of earlier conversation', '', doc.summary);
+    }
+    for (const message of messages) {
+        lines.push('', `### ${memoryHeading(agent, message)}`, '', withImageNames(message));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function memoryHtml(doc) {
+    const { agent, messages } = doc;
+    const sections = messages.map(message => ({ heading: memoryHeading(agent, message), text: withImageNames(message) }));
+    if (doc.summary) {
+        sections.unshift({ heading: 'Summary of earlier conversation', text: doc.summary });
+    }
+    return htmlPage(`${agent.name} memory`, 'Dual-AI Orchestrator agent memory', [
+        ['Role', agent.role],
+        ['Model', `${agent.provider} · ${agent.model}`],
+        ['Messages', String(messages.length)]
+    ], sections);
+}
+
+function render(format, doc, toMarkdown, toHtml) {
+    switch (format) {
+        case 'markdown':
+            return toMarkdown(doc);
+        case 'html':
+            return toHtml(doc);
+        default:
+            return JSON.stringify(doc, null, 2);
+    }
+}
+
+function exportFile(format, name, body) {
+    const { extension, contentType } = FORMATS[format];
+    return { filename: `${slugify(name)}.${extension}`, contentType, body };
+}
+
+// Returns { filename, contentType, body } for format markdown, json or html
+function exportCollaboration(collaboration, participants, format = 'markdown') {
+    const doc = collaborationDocument(collaboration, participants);
+    return exportFile(format, `collaboration-${collaboration.goal}`, render(format, doc, collaborationMarkdown, collaborationHtml));
+}
+
+function exportAgentMemory(agent, format = 'markdown') {
+    const doc = memoryDocument(agent);
+    return exportFile(format, `${agent.name}-memory`, render(format, doc, memoryMarkdown, memoryHtml));
+}
+
+module.exports = { EXPORT_FORMATS: Object.keys(FORMATS), exportCollaboration, exportAgentMemory, escapeHtml };
@@ -0,0 +1,58 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - MODEL PRICE TABLE
+ * USD per million tokens, split into input (prompt) and output (completion)
+ * Override or extend with MODEL_PRICING (JSON) or MODEL_PRICING_FILE (path to JSON)
+ */
+
+const fs = require('fs');
+
+const DEFAULT_PRICING = {
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+    'claude-3-sonnet-20240229': { input: 3, output: 15 },
+    'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+    'claude-3-opus-20240229': { input: 15, output: 75 },
+    'mock-echo': { input: 0, output: 0 },
+    'mock-scripted': { input: 0, output: 0 },
+    'mock-planner': { input: 0, output: 0 }
+};
+
+function loadPricing() {
+    const pricing = { ...DEFAULT_PRICING };
+
+    if (process.env.MODEL_PRICING_FILE) {
+        Object.assign(pricing, JSON.parse(fs.readFileSync(process.env.MODEL_PRICING_FILE, 'utf8')));
+    }
+    if (process.env.MODEL_PRICING) {
+        Object.assign(pricing, JSON.parse(process.env.MODEL_PRICING));
+    }
+
+    return pricing;
+}
+
+class PriceTable {
+    constructor(pricing = loadPricing()) {
+        this.pricing = pricing;
+    }
+
+    has(model) {
+        return Object.prototype.hasOwnProperty.call(this.pricing, model);
+    }
+
+    // Unknown models cost 0 and are flagged so reports can call them out
+    cost(model, inputTokens, outputTokens) {
+        if (!this.has(model)) {
+            return { cost: 0, priced: false };
+        }
+
+        const price = this.pricing[model];
+        const cost = (inputTokens * price.input + outputTokens * price.output) / 1e6;
+        return { cost: Math.round(cost * 1e6) / 1e6, priced: true };
+    }
+}
+
+module.exports = { PriceTable, DEFAULT_PRICING };
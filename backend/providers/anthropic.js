@@ -0,0 +1,213 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - ANTHROPIC PROVIDER
+ */
+
+const { ProviderAdapter, ProviderError, readServerSentEvents, normalizedResponse, toolCall } = require('./base');
+
+function parseArguments(text) {
+    try {
+        return JSON.parse(text || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+// OpenAI content parts to Anthropic blocks; data: URLs become base64 image sources
+function toAnthropicPart(part) {
+    if (part.type !== 'image_url') {
+        return { type: 'text', text: part.text };
+    }
+    const inline = /^data:([^;,]+);base64,(.*)$/s.exec(part.image_url.url);
+    return {
+        type: 'image',
+        source: inline
+            ? { type: 'base64', media_type: inline[1], data: inline[2] }
+            : { type: 'url', url: part.image_url.url }
+    };
+}
+
+// OpenAI-style tool traffic to Anthropic content blocks: tool_calls become tool_use
+// blocks and consecutive tool results are grouped into one user turn of tool_result blocks
+function toAnthropicMessages(messages) {
+    const converted = [];
+    for (const message of messages) {
+        if (message.role === 'tool') {
+            const block = { type: 'tool_result', tool_use_id: message.tool_call_id, content: String(message.content) };
+            const previous = converted[converted.length - 1];
+            if (previous && previous.role === 'user' && Array.isArray(previous.content) &&
+                previous.content.every(part => part.type === 'tool_result')) {
+                previous.content.push(block);
+            } else {
+                converted.push({ role: 'user', content: [block] });
+            }
+        } else if (message.role === 'assistant' && message.tool_calls && message.tool_calls.length > 0) {
+            converted.push({
+                role: 'assistant',
+                content: [
+                    ...(message.content ? [{ type: 'text', text: message.content }] : []),
+                    ...message.tool_calls.map(call => ({
+                        type: 'tool_use',
+                        id: call.id,
+                        name: call.function.name,
+                        input: parseArguments(call.function.arguments)
+                    }))
+                ]
+            });
+        } else {
+            converted.push({
+                role: message.role,
+                content: Array.isArray(message.content) ? message.content.map(toAnthropicPart) : message.content
+            });
+        }
+    }
+    return converted;
+}
+
+// Anthropic has no JSON mode; a forced tool whose input schema is the requested schema
+// gives the same guarantee. Not used alongside the agent's own tools, which it would block
+function usesStructuredTool(options) {
+    return !!options.responseFormat && options.responseFormat.schema.type === 'object' &&
+        !(options.tools && options.tools.length > 0);
+}
+
+class AnthropicAdapter extends ProviderAdapter {
+    constructor() {
+        super({
+            id: 'anthropic',
+            label: 'Anthropic',
+            defaultModel: 'claude-3-5-sonnet-20241022',
+            models: [
+                { value: 'claude-3-5-sonnet-20241022', label: 'Claude 3.5 Sonnet' },
+                { value: 'claude-3-sonnet-20240229', label: 'Claude 3 Sonnet' },
+                { value: 'claude-3-haiku-20240307', label: 'Claude 3 Haiku' },
+                { value: 'claude-3-opus-20240229', label: 'Claude 3 Opus' }
+            ],
+            rateLimit: parseInt(process.env.ANTHROPIC_RATE_LIMIT) || 60,
+            burst: parseInt(process.env.ANTHROPIC_BURST_LIMIT) || 10
+        });
+        this.baseUrl = 'https://api.anthropic.com/v1';
+        this.apiKey = process.env.ANTHROPIC_API_KEY;
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    headers() {
+        return {
+            'x-api-key': this.apiKey,
+            'Content-Type': 'application/json',
+            'anthropic-version': '2023-06-01'
+        };
+    }
+
+    buildRequest(messages, model, options, stream) {
+        // Convert OpenAI format to Anthropic format
+        const systemMessages = messages.filter(m => m.role === 'system');
+        const conversationMessages = messages.filter(m => m.role !== 'system');
+
+        return {
+            url: `${this.baseUrl}/messages`,
+            headers: this.headers(),
+            body: {
+                model,
+                max_tokens: options.maxTokens || 2000,
+                temperature: options.temperature ?? 0.7,
+                ...(options.topP !== undefined && { top_p: options.topP }),
+                ...(options.stop && { stop_sequences: options.stop }),
+                system: systemMessages.map(m => m.content).join('\n'),
+                messages: toAnthropicMessages(conversationMessages),
+                ...(options.tools && options.tools.length > 0 && {
+                    tools: options.tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters })),
+                    tool_choice: { type: options.toolChoice || 'auto' }
+                }),
+                ...(usesStructuredTool(options) && {
+                    tools: [{
+                        name: options.responseFormat.name,
+                        description: 'Submit the reply as structured data.',
+                        input_schema: options.responseFormat.schema
+                    }],
+                    tool_choice: { type: 'tool', name: options.responseFormat.name }
+                }),
+                ...(stream && { stream: true })
+            }
+        };
+    }
+
+    // The forced structured-output tool call comes back as the reply's JSON text
+    async complete(messages, model, options, io) {
+        const response = await super.complete(messages, model, options, io);
+        if (!usesStructuredTool(options)) {
+            return response;
+        }
+
+        const message = response.choices[0].message;
+        const submitted = (message.tool_calls || []).find(call => call.function.name === options.responseFormat.name);
+        return normalizedResponse(submitted ? submitted.function.arguments : message.content, response.usage);
+    }
+
+    // Convert back to OpenAI format for consistency
+    parseResponse(result) {
+        const text = result.content.filter(block => block.type === 'text').map(block => block.text).join('');
+        const toolCalls = result.content
+            .filter(block => block.type === 'tool_use')
+            .map(block => toolCall(block.id, block.name, block.input));
+        return normalizedResponse(text, result.usage, toolCalls);
+    }
+
+    async parseStream(response, onToken) {
+        let content = '';
+        const usage = { input_tokens: 0, output_tokens: 0 };
+        // tool_use blocks stream their input as partial JSON, keyed by block index
+        const toolBlocks = new Map();
+
+        for await (const { event, data } of readServerSentEvents(response)) {
+            const payload = JSON.parse(data);
+
+            if (event === 'message_start' && payload.message.usage) {
+                Object.assign(usage, payload.message.usage);
+            } else if (event === 'content_block_start' && payload.content_block.type === 'tool_use') {
+                toolBlocks.set(payload.index, { id: payload.content_block.id, name: payload.content_block.name, input: '' });
+            } else if (event === 'content_block_delta' && payload.delta.type === 'text_delta') {
+                content += payload.delta.text;
+                onToken(payload.delta.text);
+            } else if (event === 'content_block_delta' && payload.delta.type === 'input_json_delta') {
+                toolBlocks.get(payload.index).input += payload.delta.partial_json;
+            } else if (event === 'message_delta' && payload.usage) {
+                usage.output_tokens = payload.usage.output_tokens;
+            } else if (event === 'error') {
+                // Errors after the stream opened arrive as events (e.g. overloaded_error mid-response)
+                throw new ProviderError(`Anthropic API error: ${payload.error.type} ${payload.error.message}`, {
+                    provider: this.id,
+                    status: payload.error.type === 'overloaded_error' ? 529 : null,
+                    code: payload.error.type
+                });
+            } else if (event === 'message_stop') {
+                break;
+            }
+        }
+
+        const toolCalls = Array.from(toolBlocks.values()).map(block => toolCall(block.id, block.name, parseArguments(block.input)));
+        return normalizedResponse(content, usage, toolCalls);
+    }
+
+    async healthCheck() {
+        if (!this.isConfigured()) {
+            return { ok: false, error: 'Anthropic API key not configured' };
+        }
+
+        try {
+            const response = await fetch(`${this.baseUrl}/models`, {
+                headers: this.headers(),
+                signal: AbortSignal.timeout(5000)
+            });
+            return response.ok
+                ? { ok: true }
+                : { ok: false, error: `${response.status} ${response.statusText}` };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    }
+}
+
+module.exports = AnthropicAdapter;
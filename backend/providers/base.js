@@ -0,0 +1,202 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - PROVIDER ADAPTER BASE
+ * Every provider translates OpenAI-style chat messages into its own request
+ * format and normalizes responses back to { choices: [{ message }], usage }
+ * Tool calling uses the OpenAI shapes too: options.tools is a list of
+ * { name, description, parameters }, assistant messages carry tool_calls and
+ * results come back as { role: 'tool', tool_call_id, content } messages
+ * options.responseFormat = { name, schema } asks for JSON matching the schema;
+ * adapters use their provider's native JSON mode where there is one (native modes
+ * only produce objects, so other schemas are left to the prompt)
+ * User content may be a list of parts, { type: 'text', text } and
+ * { type: 'image_url', image_url: { url } } with a data: or https: URL
+ */
+
+// Provider failure carrying enough detail for the client to decide whether to retry
+class ProviderError extends Error {
+    constructor(message, { provider = null, status = null, code = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.provider = provider;
+        this.status = status;
+        this.code = code;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Retry-After may be seconds or an HTTP date; OpenAI also sends retry-after-ms
+function parseRetryAfter(headers) {
+    const milliseconds = parseFloat(headers.get('retry-after-ms'));
+    if (Number.isFinite(milliseconds)) {
+        return milliseconds / 1000;
+    }
+
+    const value = headers.get('retry-after');
+    if (!value) {
+        return null;
+    }
+    if (Number.isFinite(Number(value))) {
+        return Number(value);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+}
+
+// Abortable delay used for backoff and simulated latency
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+// Parse a Server-Sent Events response body into { event, data } records
+async function* readServerSentEvents(response) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            const data = [];
+            for (const line of rawEvent.split('\n')) {
+                if (line.startsWith('event:')) {
+                    event = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    data.push(line.slice(5).trim());
+                }
+            }
+
+            if (data.length > 0) {
+                yield { event, data: data.join('\n') };
+            }
+        }
+    }
+}
+
+function normalizedResponse(content, usage, toolCalls = []) {
+    return {
+        choices: [{
+            message: {
+                role: 'assistant',
+                content,
+                ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+            }
+        }],
+        usage
+    };
+}
+
+// Message content is a string or a list of OpenAI content parts; this is its text
+function contentText(content) {
+    return Array.isArray(content)
+        ? content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+        : String(content ?? '');
+}
+
+function toolCall(id, name, args) {
+    return { id, type: 'function', function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args || {}) } };
+}
+
+class ProviderAdapter {
+    // rateLimit is the sustained requests per minute, burst the bucket capacity
+    constructor({ id, label, defaultModel, models = [], rateLimit = 60, burst = 10 }) {
+        this.id = id;
+        this.label = label || id;
+        this.defaultModel = defaultModel;
+        this.models = models.length > 0 ? models : [{ value: defaultModel, label: defaultModel }];
+        this.rateLimit = { limit: rateLimit, burst };
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    // Returns { url, headers, body } for a chat completion request
+    buildRequest(messages, model, options, stream) {
+        throw new Error(`${this.label} adapter does not implement buildRequest`);
+    }
+
+    // Converts a non-streaming JSON body into the normalized response shape
+    parseResponse(result) {
+        throw new Error(`${this.label} adapter does not implement parseResponse`);
+    }
+
+    // Consumes a streaming response, calling onToken per text delta
+    async parseStream(response, onToken) {
+        throw new Error(`${this.label} adapter does not implement parseStream`);
+    }
+
+    // Performs one chat completion attempt; adapters that do not speak HTTP override this
+    async complete(messages, model, options, { onToken = null, signal = null } = {}) {
+        const request = this.buildRequest(messages, model, options, !!onToken);
+        const response = await fetch(request.url, {
+            method: 'POST',
+            headers: request.headers,
+            body: JSON.stringify(request.body),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new ProviderError(`${this.label} API error: ${response.status} ${response.statusText}`, {
+                provider: this.id,
+                status: response.status,
+                retryAfter: parseRetryAfter(response.headers)
+            });
+        }
+
+        return onToken
+            ? await this.parseStream(response, onToken)
+            : this.parseResponse(await response.json());
+    }
+
+    async healthCheck() {
+        return { ok: this.isConfigured() };
+    }
+
+    describe() {
+        return {
+            id: this.id,
+            label: this.label,
+            configured: this.isConfigured(),
+            defaultModel: this.defaultModel,
+            models: this.models,
+            rateLimit: this.rateLimit
+        };
+    }
+}
+
+module.exports = {
+    ProviderAdapter,
+    ProviderError,
+    parseRetryAfter,
+    sleep,
+    readServerSentEvents,
+    normalizedResponse,
+    contentText,
+    toolCall
+};
@@ -0,0 +1,92 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - PROVIDER REGISTRY
+ * Built-in OpenAI, Anthropic and offline mock adapters plus any OpenAI-compatible endpoints
+ * declared in OPENAI_COMPATIBLE_PROVIDERS (JSON array of
+ * { id, label, baseUrl, apiKey, defaultModel, models, rateLimit, burst, jsonMode })
+ */
+
+const { ProviderAdapter, ProviderError } = require('./base');
+const OpenAIAdapter = require('./openai');
+const AnthropicAdapter = require('./anthropic');
+const OpenAICompatibleAdapter = require('./openai-compatible');
+const MockAdapter = require('./mock');
+
+class ProviderRegistry {
+    constructor() {
+        this.adapters = new Map();
+    }
+
+    register(adapter) {
+        if (!(adapter instanceof ProviderAdapter)) {
+            throw new Error('Provider adapters must extend ProviderAdapter');
+        }
+        this.adapters.set(adapter.id, adapter);
+        return adapter;
+    }
+
+    has(id) {
+        return this.adapters.has(id);
+    }
+
+    get(id) {
+        const adapter = this.adapters.get(id);
+        if (!adapter) {
+            throw new Error(`Unsupported provider: ${id}`);
+        }
+        return adapter;
+    }
+
+    list() {
+        return Array.from(this.adapters.values());
+    }
+}
+
+function parseCompatibleProviders(value) {
+    if (!value) {
+        return [];
+    }
+
+    const providers = JSON.parse(value);
+    if (!Array.isArray(providers)) {
+        throw new Error('OPENAI_COMPATIBLE_PROVIDERS must be a JSON array');
+    }
+
+    return providers.map((config) => {
+        if (!config.id || !config.baseUrl || !config.defaultModel) {
+            throw new Error('OpenAI-compatible providers require id, baseUrl and defaultModel');
+        }
+        return new OpenAICompatibleAdapter({
+            ...config,
+            models: (config.models || []).map(model => (typeof model === 'string' ? { value: model, label: model } : model))
+        });
+    });
+}
+
+function createProviderRegistry() {
+    const registry = new ProviderRegistry();
+    registry.register(new OpenAIAdapter());
+    registry.register(new AnthropicAdapter());
+
+    // The mock reports made-up usage and cost, so production only gets it on request
+    const mockDefault = process.env.NODE_ENV === 'development' ? 'true' : 'false';
+    if ((process.env.MOCK_PROVIDER || mockDefault) === 'true') {
+        registry.register(new MockAdapter());
+    }
+
+    for (const adapter of parseCompatibleProviders(process.env.OPENAI_COMPATIBLE_PROVIDERS)) {
+        registry.register(adapter);
+    }
+
+    return registry;
+}
+
+module.exports = {
+    ProviderAdapter,
+    ProviderError,
+    ProviderRegistry,
+    OpenAIAdapter,
+    AnthropicAdapter,
+    OpenAICompatibleAdapter,
+    MockAdapter,
+    createProviderRegistry
+};
@@ -0,0 +1,234 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - MOCK PROVIDER
+ * Deterministic offline provider for demos and tests
+ * Models: mock-echo (repeats the last user message), mock-scripted (walks
+ * through MOCK_SCRIPT responses turn by turn) and mock-planner (canned plan)
+ *
+ * Failures can be injected per message with [mock:429], [mock:500] or
+ * [mock:timeout], per call with options.mock = { fail, latency }, or
+ * randomly (but reproducibly) with MOCK_FAILURE_RATE and MOCK_SEED
+ *
+ * When tools are offered, [tool:name {"arg":"value"}] in the user message makes the
+ * model call that tool; once results arrive it answers with them
+ *
+ * With options.responseFormat the reply is a sample value shaped by the schema;
+ * [json:invalid] in the latest user message spoils that one reply (so a repair
+ * succeeds) and [json:broken] anywhere in the conversation spoils every reply
+ *
+ * Images cannot be seen, only counted: the echo notes how many came with the message
+ */
+
+const fs = require('fs');
+const { ProviderAdapter, ProviderError, sleep, normalizedResponse, contentText, toolCall } = require('./base');
+const { estimateTokens, messageTokens } = require('../context');
+
+const FAILURES = {
+    429: 'Too Many Requests',
+    500: 'Internal Server Error',
+    503: 'Service Unavailable'
+};
+
+// Small seeded PRNG so failure injection is reproducible across runs
+function mulberry32(seed) {
+    return () => {
+        seed |= 0;
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function loadScript(value) {
+    if (!value) {
+        return [
+            'Here is my initial approach: break the goal into smaller steps and tackle the riskiest one first.',
+            'Building on that, I suggest we validate each step with a quick prototype before committing.',
+            'Agreed. To wrap up: we have a plan, a validation strategy and clear next steps.'
+        ];
+    }
+
+    const raw = value.trim().startsWith('[') ? value : fs.readFileSync(value, 'utf8');
+    const script = JSON.parse(raw);
+    if (!Array.isArray(script) || script.length === 0) {
+        throw new Error('MOCK_SCRIPT must be a non-empty JSON array of responses');
+    }
+    return script;
+}
+
+// Like parseInt(value) || fallback, but lets 0 through (e.g. MOCK_LATENCY_MS=0)
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+// Smallest value that satisfies the common JSON Schema keywords
+function sampleValue(schema = {}) {
+    if (schema.const !== undefined) {
+        return schema.const;
+    }
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+        return schema.enum[0];
+    }
+    const variants = schema.anyOf || schema.oneOf;
+    if (Array.isArray(variants) && variants.length > 0) {
+        return sampleValue(variants[0]);
+    }
+
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type || (schema.properties ? 'object' : 'string');
+    switch (type) {
+        case 'object':
+            return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, child]) => [key, sampleValue(child)]));
+        case 'array':
+            return Array.from({ length: Math.max(1, schema.minItems || 0) }, () => sampleValue(schema.items || {}));
+        case 'integer':
+        case 'number':
+            return schema.minimum ?? (schema.exclusiveMinimum !== undefined ? schema.exclusiveMinimum + 1 : 0);
+        case 'boolean':
+            return true;
+        case 'null':
+            return null;
+        default:
+            return 'example'.padEnd(schema.minLength || 0, '!');
+    }
+}
+
+class MockAdapter extends ProviderAdapter {
+    constructor(config = {}) {
+        super({
+            id: 'mock',
+            label: 'Mock (offline)',
+            defaultModel: 'mock-echo',
+            models: [
+                { value: 'mock-echo', label: 'Mock Echo' },
+                { value: 'mock-scripted', label: 'Mock Scripted' },
+                { value: 'mock-planner', label: 'Mock Planner' }
+            ],
+            rateLimit: parseInt(process.env.MOCK_RATE_LIMIT) || 600,
+            burst: parseInt(process.env.MOCK_BURST_LIMIT) || 50
+        });
+        this.latency = config.latency ?? envNumber('MOCK_LATENCY_MS', 300);
+        this.tokenDelay = config.tokenDelay ?? envNumber('MOCK_TOKEN_DELAY_MS', 20);
+        this.timeout = config.timeout ?? envNumber('API_TIMEOUT', 30000);
+        this.failureRate = config.failureRate ?? envNumber('MOCK_FAILURE_RATE', 0);
+        this.failureMode = config.failureMode || process.env.MOCK_FAILURE_MODE || '500';
+        this.random = mulberry32(config.seed ?? envNumber('MOCK_SEED', 42));
+        this.script = config.script || loadScript(process.env.MOCK_SCRIPT);
+    }
+
+    // Decide whether this call should fail, and how
+    failureFor(lastMessage, options) {
+        const directive = /\[mock:(\w+)\]/.exec(lastMessage);
+        if (directive) {
+            return directive[1];
+        }
+        if (options.fail) {
+            return String(options.fail);
+        }
+        if (this.failureRate > 0 && this.random() < this.failureRate) {
+            return String(this.failureMode);
+        }
+        return null;
+    }
+
+    // A simulated timeout hangs until the client's timeout aborts the call
+    async fail(mode, signal) {
+        if (mode === 'timeout') {
+            await sleep(this.timeout, signal);
+            throw new ProviderError(`${this.label} API error: request timed out after ${this.timeout}ms`, {
+                provider: this.id,
+                code: 'ETIMEDOUT'
+            });
+        }
+
+        const status = parseInt(mode) || 500;
+        throw new ProviderError(`${this.label} API error: ${status} ${FAILURES[status] || 'Error'}`, {
+            provider: this.id,
+            status,
+            retryAfter: status === 429 ? 1 : null
+        });
+    }
+
+    respond(messages, model, lastMessage) {
+        switch (model) {
+            case 'mock-scripted': {
+                // Index by conversation turn so each agent walks the script from the start
+                const turn = messages.filter(m => m.role === 'assistant').length;
+                return this.script[turn % this.script.length];
+            }
+            case 'mock-planner': {
+                const system = messages.find(m => m.role === 'system');
+                return `Plan (${system ? system.content.slice(0, 40) : 'assistant'}):\n1. Clarify the goal\n2. Propose options\n3. Pick one and outline next steps`;
+            }
+            default:
+                return `Echo: ${lastMessage}`;
+        }
+    }
+
+    // Tool calls requested by directives in a fresh user message, if those tools are offered
+    toolCallsFor(messages, options) {
+        const last = messages[messages.length - 1];
+        if (!options.tools || options.toolChoice === 'none' || !last || last.role !== 'user') {
+            return [];
+        }
+        const offered = new Set(options.tools.map(tool => tool.name));
+        return Array.from(contentText(last.content).matchAll(/\[tool:([\w-]+)(?:\s+(\{.*?\}))?\]/g))
+            .filter(([, name]) => offered.has(name))
+            .map(([, name, args], index) => toolCall(`call_mock_${messages.length}_${index}`, name, args || '{}'));
+    }
+
+    structuredReply(messages, { schema }) {
+        const last = messages[messages.length - 1];
+        const broken = messages.some(m => m.role === 'user' && contentText(m.content).includes('[json:broken]'));
+        if (broken || (last && last.role === 'user' && contentText(last.content).includes('[json:invalid]'))) {
+            return 'Sure! Here is the data you asked for.';
+        }
+        return JSON.stringify(sampleValue(schema));
+    }
+
+    async complete(messages, model, options = {}, { onToken = null, signal = null } = {}) {
+        const mockOptions = options.mock || {};
+        const userMessages = messages.filter(m => m.role === 'user');
+        const lastUser = userMessages[userMessages.length - 1];
+        const images = lastUser && Array.isArray(lastUser.content) ? lastUser.content.filter(part => part.type === 'image_url').length : 0;
+        const lastMessage = (lastUser ? contentText(lastUser.content) : '') +
+            (images > 0 ? ` [${images} image${images === 1 ? '' : 's'} attached]` : '');
+
+        await sleep(mockOptions.latency ?? this.latency, signal);
+
+        const failure = this.failureFor(lastMessage, mockOptions);
+        if (failure) {
+            await this.fail(failure, signal);
+        }
+
+        const toolCalls = this.toolCallsFor(messages, options);
+        const last = messages[messages.length - 1];
+        const content = toolCalls.length > 0
+            ? null
+            : last && last.role === 'tool'
+                ? `Tool results: ${messages.slice(messages.findLastIndex(m => m.role === 'assistant') + 1).map(m => m.content).join('; ')}`
+                : options.responseFormat
+                    ? this.structuredReply(messages, options.responseFormat)
+                    : this.respond(messages, model, lastMessage);
+        const usage = {
+            prompt_tokens: messageTokens(messages),
+            completion_tokens: estimateTokens(content || JSON.stringify(toolCalls))
+        };
+        usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+        if (onToken && content) {
+            for (const token of content.match(/\S+\s*/g) || []) {
+                await sleep(this.tokenDelay, signal);
+                onToken(token);
+            }
+        }
+
+        return normalizedResponse(content, usage, toolCalls);
+    }
+
+    describe() {
+        return { ...super.describe(), latency: this.latency, failureRate: this.failureRate };
+    }
+}
+
+module.exports = MockAdapter;
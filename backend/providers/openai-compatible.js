@@ -0,0 +1,131 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - OPENAI-COMPATIBLE PROVIDER
+ * Talks to any server exposing /chat/completions in the OpenAI wire format
+ * (llama.cpp server, vLLM, Ollama, LM Studio, ...)
+ * jsonMode picks how structured output is requested: json_schema, json_object
+ * (default, widely supported) or none (schema in the prompt only)
+ */
+
+const { ProviderAdapter, readServerSentEvents, normalizedResponse, toolCall } = require('./base');
+
+class OpenAICompatibleAdapter extends ProviderAdapter {
+    constructor(config) {
+        super(config);
+        this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+        this.apiKey = config.apiKey || null;
+        this.headers = config.headers || {};
+        this.jsonMode = config.jsonMode || 'json_object';
+    }
+
+    // response_format for a { name, schema } request, or null when the server has no JSON mode
+    responseFormat(model, { name, schema }) {
+        if (schema.type !== 'object') {
+            return null;
+        }
+        switch (this.jsonMode) {
+            case 'json_schema':
+                return { type: 'json_schema', json_schema: { name, schema, strict: false } };
+            case 'json_object':
+                return { type: 'json_object' };
+            default:
+                return null;
+        }
+    }
+
+    buildRequest(messages, model, options, stream) {
+        const headers = {
+            'Content-Type': 'application/json',
+            ...this.headers
+        };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        return {
+            url: `${this.baseUrl}/chat/completions`,
+            headers,
+            body: {
+                model,
+                messages,
+                temperature: options.temperature ?? 0.7,
+                max_tokens: options.maxTokens || 2000,
+                ...(options.topP !== undefined && { top_p: options.topP }),
+                ...(options.stop && { stop: options.stop }),
+                ...(options.responseFormat && this.responseFormat(model, options.responseFormat) && {
+                    response_format: this.responseFormat(model, options.responseFormat)
+                }),
+                ...(options.tools && options.tools.length > 0 && {
+                    tools: options.tools.map(({ name, description, parameters }) => ({
+                        type: 'function',
+                        function: { name, description, parameters }
+                    })),
+                    tool_choice: options.toolChoice || 'auto'
+                }),
+                ...(stream && { stream: true, stream_options: { include_usage: true } })
+            }
+        };
+    }
+
+    parseResponse(result) {
+        return result;
+    }
+
+    // Accumulate streamed deltas into the same shape as a non-streaming completion
+    async parseStream(response, onToken) {
+        let content = '';
+        let usage = null;
+        // Tool call fragments arrive keyed by index: id and name first, then argument text
+        const calls = [];
+
+        for await (const { data } of readServerSentEvents(response)) {
+            if (data === '[DONE]') {
+                break;
+            }
+
+            const chunk = JSON.parse(data);
+            const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+            if (delta && delta.content) {
+                content += delta.content;
+                onToken(delta.content);
+            }
+            for (const fragment of (delta && delta.tool_calls) || []) {
+                const call = calls[fragment.index] || (calls[fragment.index] = { id: null, name: '', arguments: '' });
+                call.id = fragment.id || call.id;
+                if (fragment.function) {
+                    call.name += fragment.function.name || '';
+                    call.arguments += fragment.function.arguments || '';
+                }
+            }
+            if (chunk.usage) {
+                usage = chunk.usage;
+            }
+        }
+
+        const toolCalls = calls.filter(Boolean).map(call => toolCall(call.id, call.name, call.arguments));
+        return normalizedResponse(content || (toolCalls.length > 0 ? null : ''), usage, toolCalls);
+    }
+
+    async healthCheck() {
+        if (!this.isConfigured()) {
+            return { ok: false, error: `${this.label} API key not configured` };
+        }
+
+        try {
+            const response = await fetch(`${this.baseUrl}/models`, {
+                headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+                signal: AbortSignal.timeout(5000)
+            });
+            return response.ok
+                ? { ok: true }
+                : { ok: false, error: `${response.status} ${response.statusText}` };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    }
+
+    describe() {
+        return { ...super.describe(), baseUrl: this.baseUrl };
+    }
+}
+
+module.exports = OpenAICompatibleAdapter;
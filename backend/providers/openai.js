@@ -0,0 +1,46 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - OPENAI PROVIDER
+ */
+
+const OpenAICompatibleAdapter = require('./openai-compatible');
+
+class OpenAIAdapter extends OpenAICompatibleAdapter {
+    constructor() {
+        super({
+            id: 'openai',
+            label: 'OpenAI',
+            baseUrl: 'https://api.openai.com/v1',
+            apiKey: process.env.OPENAI_API_KEY,
+            headers: process.env.OPENAI_ORG_ID ? { 'OpenAI-Organization': process.env.OPENAI_ORG_ID } : {},
+            defaultModel: 'gpt-4',
+            models: [
+                { value: 'gpt-4', label: 'GPT-4' },
+                { value: 'gpt-4o', label: 'GPT-4o' },
+                { value: 'gpt-4-turbo', label: 'GPT-4 Turbo' },
+                { value: 'gpt-3.5-turbo', label: 'GPT-3.5 Turbo' }
+            ],
+            rateLimit: parseInt(process.env.OPENAI_RATE_LIMIT) || 60,
+            burst: parseInt(process.env.OPENAI_BURST_LIMIT) || 10
+        });
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    // Structured outputs on gpt-4o and later, JSON mode on turbo models, prompt-only on gpt-4
+    responseFormat(model, format) {
+        if (format.schema.type !== 'object') {
+            return null;
+        }
+        if (/^(gpt-4o|gpt-4\.1|gpt-5|o\d)/.test(model)) {
+            return { type: 'json_schema', json_schema: { name: format.name, schema: format.schema, strict: false } };
+        }
+        if (/^(gpt-4-turbo|gpt-3\.5-turbo)/.test(model)) {
+            return { type: 'json_object' };
+        }
+        return null;
+    }
+}
+
+module.exports = OpenAIAdapter;
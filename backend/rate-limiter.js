@@ -0,0 +1,149 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - PROVIDER RATE LIMITER
+ * Token buckets per provider and per model: bursts up to the bucket capacity,
+ * then refills at the sustained per-minute rate. Calls that find the bucket
+ * empty wait in a FIFO queue instead of failing, up to RATE_LIMIT_MAX_WAIT
+ */
+
+const { ProviderError } = require('./providers/base');
+
+class TokenBucket {
+    constructor({ limit, burst }) {
+        this.limit = limit;
+        this.capacity = Math.max(1, burst || limit);
+        this.refillPerMs = limit / 60000;
+        this.tokens = this.capacity;
+        this.updated = Date.now();
+        this.queue = [];
+        this.timer = null;
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updated) * this.refillPerMs);
+        this.updated = now;
+    }
+
+    // Milliseconds until a newly queued call would get its token
+    estimatedWait() {
+        this.refill();
+        const deficit = this.queue.length + 1 - this.tokens;
+        return deficit <= 0 ? 0 : Math.ceil(deficit / this.refillPerMs);
+    }
+
+    // Resolves with the time spent waiting; rejects with wait as a property when it would exceed maxWait
+    acquire({ maxWait = Infinity, signal = null } = {}) {
+        this.refill();
+        if (this.queue.length === 0 && this.tokens >= 1) {
+            this.tokens -= 1;
+            return Promise.resolve(0);
+        }
+
+        const wait = this.estimatedWait();
+        if (wait > maxWait) {
+            const error = new Error('Rate limit queue wait exceeded');
+            error.wait = wait;
+            return Promise.reject(error);
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { resolve, reject, enqueued: Date.now(), signal, onAbort: null };
+
+            if (signal) {
+                entry.onAbort = () => {
+                    this.queue = this.queue.filter(queued => queued !== entry);
+                    reject(signal.reason);
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+
+            this.queue.push(entry);
+            this.schedule();
+        });
+    }
+
+    schedule() {
+        if (this.timer || this.queue.length === 0) {
+            return;
+        }
+
+        this.refill();
+        const wait = this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.refill();
+
+            while (this.queue.length > 0 && this.tokens >= 1) {
+                const entry = this.queue.shift();
+                this.tokens -= 1;
+                if (entry.signal) {
+                    entry.signal.removeEventListener('abort', entry.onAbort);
+                }
+                entry.resolve(Date.now() - entry.enqueued);
+            }
+
+            this.schedule();
+        }, wait);
+    }
+
+    snapshot() {
+        this.refill();
+        return {
+            limit: this.limit,
+            burst: this.capacity,
+            available: Math.floor(this.tokens),
+            queued: this.queue.length
+        };
+    }
+}
+
+class RateLimiter {
+    // modelLimits: { [model]: { limit, burst } } applied on top of each provider's own bucket
+    constructor({ maxWait = 30000, modelLimits = {} } = {}) {
+        this.maxWait = maxWait;
+        this.modelLimits = modelLimits;
+        this.buckets = new Map();
+    }
+
+    bucket(key, config) {
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, new TokenBucket(config));
+        }
+        return this.buckets.get(key);
+    }
+
+    // Waits for a model token (when that model has its own limit) and then a provider token
+    async acquire(adapter, model, signal = null) {
+        const buckets = [];
+        if (this.modelLimits[model]) {
+            buckets.push([`${adapter.id}:${model}`, this.bucket(`${adapter.id}:${model}`, this.modelLimits[model])]);
+        }
+        buckets.push([adapter.id, this.bucket(adapter.id, adapter.rateLimit)]);
+
+        let waited = 0;
+        for (const [key, bucket] of buckets) {
+            try {
+                waited += await bucket.acquire({ maxWait: this.maxWait - waited, signal });
+            } catch (error) {
+                if (error.wait === undefined) {
+                    throw error;
+                }
+                throw new ProviderError(`${adapter.label} rate limit exceeded (${key} queue wait ${Math.ceil(error.wait / 1000)}s)`, {
+                    provider: adapter.id,
+                    status: 429,
+                    code: 'RATE_LIMIT_QUEUE_FULL',
+                    retryAfter: error.wait / 1000
+                });
+            }
+        }
+        return waited;
+    }
+
+    snapshot() {
+        return Object.fromEntries(
+            Array.from(this.buckets.entries()).map(([key, bucket]) => [key, bucket.snapshot()])
+        );
+    }
+}
+
+module.exports = { TokenBucket, RateLimiter };
@@ -0,0 +1,190 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - LONG-TERM AGENT MEMORY
+ * Agents with longTermMemory enabled keep every exchange as a remembered item and
+ * get the most relevant ones injected into their system prompt on later calls, long
+ * after the conversation window has moved on. Items are ranked locally with BM25
+ * over their words; nothing leaves the server
+ * Per-agent settings: { enabled, limit } where limit is how many items to recall (default 3)
+ * Items go to the memories log as they are made; forgetting appends { id, deleted } markers,
+ * which are folded away when the log is compacted on boot
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_RECALL_LIMIT = 3;
+const MAX_SNIPPET_LENGTH = 1000;
+// BM25 term-frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for', 'from', 'has', 'have',
+    'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'so',
+    'that', 'the', 'their', 'them', 'then', 'there', 'these', 'this', 'to', 'us', 'was', 'we', 'were',
+    'what', 'when', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+function tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter(word => word.length > 1 && !STOPWORDS.has(word));
+}
+
+// { enabled, limit } -> normalized settings, or null when long-term memory is off
+function normalizeRecallConfig(config) {
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('longTermMemory must be an object with enabled and limit');
+    }
+    if (config.enabled === false) {
+        return null;
+    }
+
+    const limit = config.limit ?? DEFAULT_RECALL_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 20) {
+        throw new Error('longTermMemory.limit must be an integer between 1 and 20');
+    }
+    return { enabled: true, limit };
+}
+
+function snippet(text) {
+    const value = String(text || '');
+    return value.length > MAX_SNIPPET_LENGTH ? `${value.slice(0, MAX_SNIPPET_LENGTH)}…` : value;
+}
+
+function recallMessage(items) {
+    const notes = items
+        .map(item => `- (${new Date(item.created).toISOString().slice(0, 10)}) User: ${snippet(item.user)}\n  You: ${snippet(item.assistant)}`)
+        .join('\n');
+    return {
+        role: 'system',
+        content: `Relevant notes from your earlier conversations (use them if they help, ignore them otherwise):\n${notes}`
+    };
+}
+
+class LongTermMemory {
+    constructor(store) {
+        this.store = store;
+        this.items = new Map();
+        // Word counts per item, built on first search
+        this.terms = new Map();
+    }
+
+    // Replays the log over items kept in the memories collection by earlier versions
+    async load() {
+        const legacy = await this.store.list('memories');
+        const entries = await this.store.readLog('memories');
+        for (const entry of [...legacy, ...entries]) {
+            if (entry.deleted) {
+                this.items.delete(entry.id);
+            } else {
+                this.items.set(entry.id, entry);
+            }
+        }
+
+        if (legacy.length > 0 || entries.length > this.items.size) {
+            await this.store.replaceLog('memories', Array.from(this.items.values()));
+            await this.store.deleteMany('memories', legacy.map(item => item.id));
+        }
+    }
+
+    log(entries) {
+        this.store.append('memories', entries).catch((error) => {
+            console.error('Failed to persist long-term memory:', error);
+        });
+    }
+
+    remember({ agentId, workspaceId = null, collaborationId = null, user, assistant }) {
+        const item = {
+            id: uuidv4(),
+            agentId,
+            workspaceId,
+            collaborationId,
+            user: String(user),
+            assistant: String(assistant || ''),
+            created: Date.now()
+        };
+
+        this.items.set(item.id, item);
+        this.log(item);
+        return item;
+    }
+
+    forAgent(agentId) {
+        return Array.from(this.items.values()).filter(item => item.agentId === agentId);
+    }
+
+    // Newest first
+    list(agentId, { limit = 20, offset = 0 } = {}) {
+        const items = this.forAgent(agentId).sort((a, b) => b.created - a.created);
+        return { total: items.length, limit, offset, items: items.slice(offset, offset + limit) };
+    }
+
+    termsOf(item) {
+        if (!this.terms.has(item.id)) {
+            const counts = new Map();
+            const words = tokenize(`${item.user} ${item.assistant}`);
+            for (const word of words) {
+                counts.set(word, (counts.get(word) || 0) + 1);
+            }
+            this.terms.set(item.id, { counts, length: words.length });
+        }
+        return this.terms.get(item.id);
+    }
+
+    // BM25 ranking of the agent's items against the query; items scoring 0 are left out
+    search(agentId, query, { limit = 5, exclude = () => false } = {}) {
+        const items = this.forAgent(agentId);
+        const queryTerms = [...new Set(tokenize(query))];
+        if (items.length === 0 || queryTerms.length === 0) {
+            return [];
+        }
+
+        const documents = items.map(item => ({ item, ...this.termsOf(item) }));
+        const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length || 1;
+        const idf = new Map(queryTerms.map((term) => {
+            const frequency = documents.filter(doc => doc.counts.has(term)).length;
+            return [term, Math.log(1 + (documents.length - frequency + 0.5) / (frequency + 0.5))];
+        }));
+
+        return documents
+            .map(({ item, counts, length }) => {
+                const score = queryTerms.reduce((sum, term) => {
+                    const tf = counts.get(term) || 0;
+                    return sum + idf.get(term) * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * length / averageLength));
+                }, 0);
+                return { ...item, score: Number(score.toFixed(4)) };
+            })
+            .filter(result => result.score > 0 && !exclude(result))
+            .sort((a, b) => b.score - a.score || b.created - a.created)
+            .slice(0, limit);
+    }
+
+    delete(agentId, itemId) {
+        const item = this.items.get(itemId);
+        if (!item || item.agentId !== agentId) {
+            throw new Error('Memory item not found');
+        }
+        this.drop([item]);
+        return item;
+    }
+
+    // Forgets everything the agent remembers; returns the number of items removed
+    clear(agentId) {
+        const items = this.forAgent(agentId);
+        this.drop(items);
+        return items.length;
+    }
+
+    // One log write for the whole batch
+    drop(items) {
+        if (items.length === 0) {
+            return;
+        }
+        for (const item of items) {
+            this.items.delete(item.id);
+            this.terms.delete(item.id);
+        }
+        this.log(items.map(item => ({ id: item.id, deleted: true })));
+    }
+}
+
+module.exports = { LongTermMemory, normalizeRecallConfig, recallMessage, tokenize, DEFAULT_RECALL_LIMIT };
@@ -18,11 +18,63 @@ const rateLimit = require('express-rate-limit');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
+const { createStore } = require('./storage');
+const { createProviderRegistry, ProviderError } = require('./providers');
+const { sleep } = require('./providers/base');
+const { RateLimiter } = require('./rate-limiter');
+const { UsageTracker } = require('./usage');
+const { normalizeBudget, exceededLimit, defaultCollaborationBudget } = require('./budget');
+const { AuthService, requireAuth, credentialFromRequest } = require('./auth');
+const { WorkspaceService, AccessError } = require('./workspaces');
+const { schemas, validate, validateMessage } = require('./validation');
+const { getStrategy, transcript, CollaborationStopped, CollaborationControl } = require('./strategies');
+const {
+    normalizeTermination,
+    sentinelInstruction,
+    containsSentinel,
+    judgePrompt,
+    parseScore,
+    StagnationDetector
+} = require('./termination');
+const { exportCollaboration, exportAgentMemory } = require('./export');
+const {
+    ContextLimits,
+    DEFAULT_RESERVE_TOKENS,
+    clipToTokens,
+    MAX_SUMMARY_TOKENS,
+    MESSAGE_OVERHEAD_TOKENS,
+    messageTokens,
+    normalizeContextConfig,
+    planCompaction,
+    summaryPrompt,
+    summaryMessage
+} = require('./context');
+const { LongTermMemory, normalizeRecallConfig, recallMessage } = require('./recall');
+const { createToolRegistry } = require('./tools');
+const {
+    StructuredOutputError,
+    normalizeOutputSchema,
+    checkOutput,
+    schemaInstruction,
+    repairPrompt,
+    schemaName
+} = require('./structured');
+const { AttachmentStore, MAX_ATTACHMENT_BYTES, contentParts, describe: describeAttachment } = require('./attachments');
+const { TemplateLibrary, TemplateError } = require('./templates');
 
 // Configuration
 const PORT = process.env.PORT || 3001;
 const WS_PORT = process.env.WS_PORT || 3002;
 const NODE_ENV = process.env.NODE_ENV || 'production';
+const MAX_COLLABORATION_ITERATIONS = parseInt(process.env.MAX_COLLABORATION_ITERATIONS) || 10;
+const MAX_TOOL_ROUNDS = parseInt(process.env.AGENT_MAX_TOOL_ROUNDS) || 5;
+// 0 turns repair off: the first invalid structured reply fails the call
+const JSON_REPAIR_ATTEMPTS = Number.isInteger(parseInt(process.env.JSON_REPAIR_ATTEMPTS)) ? Math.max(0, parseInt(process.env.JSON_REPAIR_ATTEMPTS)) : 2;
+const AUTH_ENABLED = process.env.AUTH_ENABLED !== 'false';
+const WS_AUTH_TIMEOUT = 10000;
+
+// Stand-in identity when AUTH_ENABLED=false (single-user local installs)
+const LOCAL_USER = { id: 'local', username: 'local' };
 
 // Initialize Express app
 const app = express();
@@ -36,367 +88,1754 @@ const metrics = {
     openaiRequests: 0,
     anthropicRequests: 0,
     errors: 0,
+    retries: 0,
+    timeouts: 0,
+    rateLimitWaits: 0,
+    rateLimitRejections: 0,
     activeSessions: 0,
     totalSessions: 0
 };
 
-// Dual API Client for OpenAI and Anthropic
+// Network failures worth retrying (connection resets, DNS hiccups, socket drops)
+const RETRYABLE_NETWORK_CODES = new Set([
+    'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+    'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'
+]);
+
+// Dual API Client: routes calls through the provider adapter registry
 class DualAPIClient {
-    constructor() {
-        this.openaiKey = process.env.OPENAI_API_KEY;
-        this.anthropicKey = process.env.ANTHROPIC_API_KEY;
-        this.rateLimits = {
-            openai: {
-                requests: 0,
-                resetTime: Date.now() + 60000,
-                limit: parseInt(process.env.OPENAI_RATE_LIMIT) || 60
-            },
-            anthropic: {
-                requests: 0,
-                resetTime: Date.now() + 60000,
-                limit: parseInt(process.env.ANTHROPIC_RATE_LIMIT) || 60
+    constructor(providers = createProviderRegistry()) {
+        this.providers = providers;
+        this.timeout = parseInt(process.env.API_TIMEOUT) || 30000;
+        this.retry = {
+            maxAttempts: parseInt(process.env.API_MAX_ATTEMPTS) || 3,
+            baseDelay: parseInt(process.env.API_RETRY_BASE_DELAY) || 500,
+            maxDelay: parseInt(process.env.API_RETRY_MAX_DELAY) || 10000,
+            maxRetryAfter: parseInt(process.env.API_MAX_RETRY_AFTER) || 60000
+        };
+        this.limiter = new RateLimiter({
+            maxWait: parseInt(process.env.RATE_LIMIT_MAX_WAIT) || 30000,
+            modelLimits: process.env.MODEL_RATE_LIMITS ? JSON.parse(process.env.MODEL_RATE_LIMITS) : {}
+        });
+        for (const adapter of this.providers.list()) {
+            this.limiter.bucket(adapter.id, adapter.rateLimit);
+        }
+    }
+
+    // Queue for a rate limit token; a full queue is retryable so failover can move on
+    async acquireRateLimit(adapter, model, signal) {
+        try {
+            const waited = await this.limiter.acquire(adapter, model, signal);
+            if (waited > 0) {
+                metrics.rateLimitWaits++;
+            }
+        } catch (error) {
+            if (error.code === 'RATE_LIMIT_QUEUE_FULL') {
+                metrics.rateLimitRejections++;
+                error.retryable = true;
             }
+            throw error;
+        }
+    }
+
+    isRetryable(error) {
+        if (error.status) {
+            return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+        }
+        const code = error.code || (error.cause && error.cause.code);
+        return RETRYABLE_NETWORK_CODES.has(code);
+    }
+
+    // Honor Retry-After when the provider sends one, otherwise jittered exponential backoff
+    backoffDelay(attempt, error) {
+        if (error.retryAfter != null) {
+            return Math.ceil(error.retryAfter * 1000);
+        }
+        const ceiling = Math.min(this.retry.maxDelay, this.retry.baseDelay * 2 ** (attempt - 1));
+        return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+    }
+
+    // One attempt with its own timeout; while streaming the timer resets on every token
+    async attempt(adapter, messages, model, options, { onToken, signal }) {
+        const controller = new AbortController();
+        let timedOut = false;
+        let timer;
+        const armTimer = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, this.timeout);
         };
+        const onAbort = () => controller.abort(signal.reason);
+
+        if (signal) {
+            if (signal.aborted) {
+                throw signal.reason;
+            }
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+        armTimer();
+
+        try {
+            return await adapter.complete(messages, model, options, {
+                signal: controller.signal,
+                onToken: onToken && ((token) => {
+                    armTimer();
+                    onToken(token);
+                })
+            });
+        } catch (error) {
+            if (timedOut) {
+                metrics.timeouts++;
+                throw new ProviderError(`${adapter.label} API error: request timed out after ${this.timeout}ms`, {
+                    provider: adapter.id,
+                    code: 'ETIMEDOUT'
+                });
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
     }
 
-    checkRateLimit(provider) {
-        const limit = this.rateLimits[provider];
-        if (Date.now() > limit.resetTime) {
-            limit.requests = 0;
-            limit.resetTime = Date.now() + 60000;
+    async callAPI(provider, messages, model, options = {}, { onToken = null, signal = null } = {}) {
+        try {
+            const adapter = this.providers.get(provider);
+
+            if (!adapter.isConfigured()) {
+                throw new Error(`${adapter.label} API key not configured`);
+            }
+
+            for (let attempt = 1; ; attempt++) {
+                await this.acquireRateLimit(adapter, model || adapter.defaultModel, signal);
+                metrics[`${provider}Requests`] = (metrics[`${provider}Requests`] || 0) + 1;
+
+                // Once tokens reached the caller a retry would duplicate them
+                let streamed = false;
+                try {
+                    return await this.attempt(adapter, messages, model || adapter.defaultModel, options, {
+                        signal,
+                        onToken: onToken && ((token) => {
+                            streamed = true;
+                            onToken(token);
+                        })
+                    });
+                } catch (error) {
+                    error.retryable = this.isRetryable(error);
+                    error.attempts = attempt;
+
+                    const delay = this.backoffDelay(attempt, error);
+                    if (!error.retryable || streamed || attempt >= this.retry.maxAttempts ||
+                        (signal && signal.aborted) || delay > this.retry.maxRetryAfter) {
+                        throw error;
+                    }
+
+                    metrics.retries++;
+                    console.warn(`${adapter.label} request failed (${error.message}), retrying in ${delay}ms (attempt ${attempt + 1}/${this.retry.maxAttempts})`);
+                    await sleep(delay, signal);
+                }
+            }
+        } catch (error) {
+            metrics.errors++;
+            throw error;
         }
-        return limit.requests < limit.limit;
+    }
+}
+
+// Multi-Agent Orchestrator
+class DualAPIOrchestrator {
+    constructor(store = createStore()) {
+        this.apiClient = new DualAPIClient();
+        this.store = store;
+        this.usage = new UsageTracker(store);
+        this.contextLimits = new ContextLimits();
+        this.longTermMemory = new LongTermMemory(store);
+        this.tools = createToolRegistry();
+        this.attachments = new AttachmentStore(store);
+        this.templates = new TemplateLibrary(store);
+        this.agents = new Map();
+        this.collaborations = new Map();
+        this.running = new Map();
     }
 
-    async callOpenAI(messages, model = 'gpt-4', options = {}) {
-        if (!this.openaiKey) {
-            throw new Error('OpenAI API key not configured');
+    // Restore persisted agents, collaborations and usage records on boot
+    async load() {
+        await this.usage.load();
+        await this.longTermMemory.load();
+        await this.attachments.load();
+        await this.templates.load();
+        for (const agent of await this.store.list('agents')) {
+            this.agents.set(agent.id, agent);
         }
+        for (const collaboration of await this.store.list('collaborations')) {
+            // Runs cut short by a restart cannot be resumed
+            if (collaboration.status === 'running' || collaboration.status === 'paused') {
+                collaboration.status = 'interrupted';
+                collaboration.stopReason = 'server_restart';
+                this.persist('collaborations', collaboration);
+            }
+            this.collaborations.set(collaboration.id, collaboration);
+        }
+    }
 
-        if (!this.checkRateLimit('openai')) {
-            throw new Error('OpenAI rate limit exceeded');
+    // Records created before workspaces existed are handed to the first workspace
+    adoptOrphans(workspaceId) {
+        for (const agent of this.agents.values()) {
+            if (!agent.workspaceId) {
+                agent.workspaceId = workspaceId;
+                this.persist('agents', agent);
+            }
         }
+        for (const collaboration of this.collaborations.values()) {
+            if (!collaboration.workspaceId) {
+                collaboration.workspaceId = workspaceId;
+                this.persist('collaborations', collaboration);
+            }
+        }
+        this.usage.adopt(workspaceId);
+    }
 
-        this.rateLimits.openai.requests++;
-        metrics.openaiRequests++;
+    listAgents(workspaceId) {
+        return Array.from(this.agents.values()).filter(agent => agent.workspaceId === workspaceId);
+    }
 
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${this.openaiKey}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                model,
-                messages,
-                temperature: options.temperature || 0.7,
-                max_tokens: options.maxTokens || 2000,
-                ...options
-            })
+    // Persistence is write-behind: failures are logged without failing the request
+    persist(collection, record) {
+        this.store.put(collection, record).catch((error) => {
+            console.error(`Failed to persist ${collection} record ${record.id}:`, error);
         });
+    }
 
-        if (!response.ok) {
-            throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
+    // Ordered { provider, model } targets tried when the primary fails with a retryable error
+    normalizeFallbacks(fallbacks = []) {
+        if (!Array.isArray(fallbacks)) {
+            throw new Error('fallbacks must be an array of { provider, model } targets');
         }
 
-        return await response.json();
+        return fallbacks.map((target) => {
+            const adapter = this.apiClient.providers.get(target && target.provider);
+            return { provider: adapter.id, model: target.model || adapter.defaultModel };
+        });
     }
 
-    async callAnthropic(messages, model = 'claude-3-5-sonnet-20241022', options = {}) {
-        if (!this.anthropicKey) {
-            throw new Error('Anthropic API key not configured');
+    // Per-agent context window settings; the summarizer defaults to the agent's own model
+    normalizeContext(context) {
+        const normalized = normalizeContextConfig(context);
+        if (normalized.summarizer) {
+            normalized.summarizer = this.normalizeFallbacks([normalized.summarizer])[0];
         }
+        return normalized;
+    }
 
-        if (!this.checkRateLimit('anthropic')) {
-            throw new Error('Anthropic rate limit exceeded');
+    // Tool allow-list; every name must be registered
+    normalizeTools(tools = []) {
+        if (!Array.isArray(tools)) {
+            throw new Error('tools must be an array of tool names');
         }
+        return [...new Set(tools.map(name => this.tools.get(name).name))];
+    }
 
-        this.rateLimits.anthropic.requests++;
-        metrics.anthropicRequests++;
+    // Renders a template reference { id, version, variables } for an agent in the given workspace.
+    // version null follows the latest version; applied records the version the instructions came from
+    applyTemplate(reference, workspaceId) {
+        const template = this.templates.get(reference.id);
+        if (template.workspaceId !== workspaceId) {
+            throw new TemplateError('Template not found', 404, 'NOT_FOUND');
+        }
+        const variables = { ...(reference.variables || {}) };
+        const rendered = this.templates.render(template.id, variables, reference.version ?? null);
+        return {
+            template: { id: template.id, version: reference.version ?? null, variables, applied: rendered.version },
+            instructions: rendered.text
+        };
+    }
+
+    agentsUsingTemplate(templateId) {
+        return Array.from(this.agents.values()).filter(agent => agent.template && agent.template.id === templateId);
+    }
 
-        // Convert OpenAI format to Anthropic format
-        const systemMessages = messages.filter(m => m.role === 'system');
-        const conversationMessages = messages.filter(m => m.role !== 'system');
+    // Re-renders every agent that follows the template's latest version. Agents whose variables
+    // no longer cover the new version keep their instructions and are reported as skipped
+    rolloutTemplate(templateId) {
+        const rollout = { updated: [], skipped: [] };
+        for (const agent of this.agentsUsingTemplate(templateId)) {
+            if (agent.template.version !== null) {
+                continue;
+            }
+            try {
+                const { template, instructions } = this.applyTemplate(agent.template, agent.workspaceId);
+                agent.template = template;
+                agent.instructions = instructions;
+                agent.updated = Date.now();
+                this.persist('agents', agent);
+                rollout.updated.push(agent.id);
+            } catch (error) {
+                rollout.skipped.push({ agentId: agent.id, error: error.message });
+            }
+        }
+        return rollout;
+    }
+
+    createAgent(config) {
+        const provider = this.apiClient.providers.get(config.provider || 'openai');
+        if (config.template && config.instructions) {
+            throw new Error('Give an agent either instructions or a template, not both');
+        }
+        const fromTemplate = config.template ? this.applyTemplate(config.template, config.workspaceId || null) : null;
+        const agent = {
+            id: uuidv4(),
+            workspaceId: config.workspaceId || null,
+            createdBy: config.createdBy || null,
+            name: config.name || 'Agent',
+            role: config.role || 'Assistant',
+            provider: provider.id,
+            model: config.model || provider.defaultModel,
+            fallbacks: this.normalizeFallbacks(config.fallbacks),
+            budget: config.budget ? normalizeBudget(config.budget) : null,
+            context: config.context ? this.normalizeContext(config.context) : null,
+            longTermMemory: config.longTermMemory ? normalizeRecallConfig(config.longTermMemory) : null,
+            tools: this.normalizeTools(config.tools),
+            outputSchema: config.outputSchema ? normalizeOutputSchema(config.outputSchema) : null,
+            template: fromTemplate ? fromTemplate.template : null,
+            instructions: fromTemplate ? fromTemplate.instructions : config.instructions || 'You are a helpful AI assistant.',
+            memory: [],
+            summary: null,
+            created: Date.now()
+        };
         
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: {
-                'x-api-key': this.anthropicKey,
-                'Content-Type': 'application/json',
-                'anthropic-version': '2023-06-01'
+        this.agents.set(agent.id, agent);
+        this.persist('agents', agent);
+        return agent;
+    }
+
+    getAgent(agentId) {
+        const agent = this.agents.get(agentId);
+        if (!agent) {
+            throw new Error('Agent not found');
+        }
+        return agent;
+    }
+
+    // Only configuration fields can change; id, workspace, memory and timestamps are fixed
+    updateAgent(agentId, changes = {}) {
+        const agent = this.getAgent(agentId);
+        const updated = { ...agent };
+
+        if (changes.provider !== undefined) {
+            const provider = this.apiClient.providers.get(changes.provider);
+            updated.provider = provider.id;
+            // A new provider without an explicit model starts from that provider's default
+            updated.model = changes.model || provider.defaultModel;
+        } else if (changes.model !== undefined) {
+            updated.model = changes.model || this.apiClient.providers.get(agent.provider).defaultModel;
+        }
+        if (changes.fallbacks !== undefined) {
+            updated.fallbacks = this.normalizeFallbacks(changes.fallbacks || []);
+        }
+        if (changes.budget !== undefined) {
+            updated.budget = changes.budget ? normalizeBudget(changes.budget) : null;
+        }
+        if (changes.context !== undefined) {
+            updated.context = changes.context ? this.normalizeContext(changes.context) : null;
+        }
+        if (changes.tools !== undefined) {
+            updated.tools = this.normalizeTools(changes.tools || []);
+        }
+        if (changes.longTermMemory !== undefined) {
+            updated.longTermMemory = changes.longTermMemory ? normalizeRecallConfig(changes.longTermMemory) : null;
+        }
+        if (changes.outputSchema !== undefined) {
+            updated.outputSchema = changes.outputSchema ? normalizeOutputSchema(changes.outputSchema) : null;
+        }
+        for (const field of ['name', 'role', 'instructions']) {
+            if (changes[field] !== undefined) {
+                updated[field] = String(changes[field]);
+            }
+        }
+        // Hand-written instructions detach the agent from its template; null detaches and keeps the text
+        if (changes.template && changes.instructions !== undefined) {
+            throw new Error('Give an agent either instructions or a template, not both');
+        }
+        if (changes.template) {
+            Object.assign(updated, this.applyTemplate(changes.template, agent.workspaceId));
+        } else if (changes.template === null || changes.instructions !== undefined) {
+            updated.template = null;
+        }
+
+        updated.updated = Date.now();
+        Object.assign(agent, updated);
+        this.persist('agents', agent);
+        return agent;
+    }
+
+    deleteAgent(agentId) {
+        const agent = this.getAgent(agentId);
+        this.agents.delete(agentId);
+        this.longTermMemory.clear(agentId);
+        this.releaseAttachments(agent.memory);
+        // Usage records and past collaborations keep referencing the id for reporting
+        this.store.delete('agents', agentId).catch((error) => {
+            console.error(`Failed to delete agent ${agentId}:`, error);
+        });
+        return agent;
+    }
+
+    // Keeps the most recent `keep` memory messages (0 clears everything, including the summary)
+    truncateMemory(agentId, keep = 0) {
+        if (!Number.isInteger(keep) || keep < 0) {
+            throw new Error('keep must be a non-negative integer');
+        }
+
+        const agent = this.getAgent(agentId);
+        const removed = agent.memory.slice(0, Math.max(0, agent.memory.length - keep));
+        agent.memory = agent.memory.slice(removed.length);
+        if (keep === 0) {
+            agent.summary = null;
+        }
+        this.persist('agents', agent);
+        this.releaseAttachments(removed);
+        return removed.length;
+    }
+
+    // Copies an agent's configuration (optionally its memory) into a new agent
+    cloneAgent(agentId, overrides = {}) {
+        const source = this.getAgent(agentId);
+        const clone = this.createAgent({
+            name: `${source.name} (copy)`,
+            role: source.role,
+            provider: source.provider,
+            model: source.model,
+            fallbacks: source.fallbacks,
+            budget: source.budget,
+            context: source.context,
+            longTermMemory: source.longTermMemory,
+            tools: source.tools,
+            outputSchema: source.outputSchema,
+            ...(source.template ? { template: source.template } : { instructions: source.instructions }),
+            workspaceId: source.workspaceId,
+            ...overrides
+        });
+
+        if (overrides.includeMemory) {
+            clone.memory = source.memory.map(entry => ({ ...entry }));
+            clone.summary = source.summary || null;
+            this.persist('agents', clone);
+        }
+        return clone;
+    }
+
+    // Long-term memory items relevant to the message, skipping exchanges still in the conversation window
+    recall(agent, message) {
+        if (!agent.longTermMemory) {
+            return [];
+        }
+        const inWindow = new Set(agent.memory.filter(m => m.role === 'assistant').map(m => m.content));
+        return this.longTermMemory.search(agent.id, message, {
+            limit: agent.longTermMemory.limit,
+            exclude: item => inWindow.has(item.assistant)
+        });
+    }
+
+    // Makes room for the next prompt (the new user entry) by summarizing or dropping the oldest
+    // turns of memory; background holds extra system messages (recalled notes) that must fit as well
+    async fitContext(agent, entry, context, background = []) {
+        const settings = { strategy: 'summarize', ...(agent.context || {}) };
+        const targets = [{ provider: agent.provider, model: agent.model }, ...(agent.fallbacks || [])];
+        // Any target may end up answering, so fit the smallest window among them
+        const limit = settings.maxTokens || Math.min(...targets.map(target => this.contextLimits.limitFor(target.model)));
+        const reserve = (context.options && context.options.maxTokens) || settings.reserveTokens || DEFAULT_RESERVE_TOKENS;
+        const fixed = messageTokens([
+            { content: agent.instructions },
+            entry,
+            ...(agent.summary ? [summaryMessage(agent.summary)] : []),
+            ...background
+        ]);
+        const available = Math.max(0, limit - reserve - fixed);
+
+        const plan = planCompaction(agent.memory, available, settings.strategy);
+        const report = { limit, reserve, strategy: settings.strategy, summarized: 0, dropped: 0 };
+        if (!plan || plan.older.length === 0) {
+            return report;
+        }
+
+        if (settings.strategy === 'summarize') {
+            const summarizer = settings.summarizer || targets[0];
+            const maxTokens = Math.min(MAX_SUMMARY_TOKENS, Math.max(64, Math.floor(available / 4)));
+            try {
+                const response = await this.apiClient.callAPI(
+                    summarizer.provider,
+                    summaryPrompt(agent.summary, plan.older, maxTokens),
+                    summarizer.model,
+                    { temperature: 0.2, maxTokens },
+                    { signal: context.signal || null }
+                );
+                this.usage.record({
+                    workspaceId: agent.workspaceId,
+                    agentId: agent.id,
+                    collaborationId: context.collaborationId || null,
+                    provider: summarizer.provider,
+                    model: summarizer.model,
+                    usage: response.usage
+                });
+                agent.summary = response.choices[0].message.content;
+                report.summarized = plan.older.length;
+            } catch (error) {
+                if (context.signal && context.signal.aborted) {
+                    throw error;
+                }
+                // A failed summary must not block the turn; the old turns are dropped instead
+                console.warn(`Agent ${agent.name}: summarizing memory with ${summarizer.provider}/${summarizer.model} failed (${error.message}), dropping ${plan.older.length} messages`);
+                report.dropped = plan.older.length;
+            }
+        } else {
+            report.dropped = plan.older.length;
+        }
+
+        agent.memory = plan.recent;
+        this.persist('agents', agent);
+        this.releaseAttachments(plan.older, [entry]);
+        return report;
+    }
+
+    async executeAgent(agentId, message, context = {}) {
+        const agent = this.getAgent(agentId);
+        const outputSchema = context.outputSchema ? normalizeOutputSchema(context.outputSchema) : agent.outputSchema || null;
+        const recalled = this.recall(agent, message);
+        const background = [
+            ...(recalled.length > 0 ? [recallMessage(recalled)] : []),
+            ...(outputSchema ? [schemaInstruction(outputSchema)] : []),
+            ...(context.background || [])
+        ];
+        const items = context.attachments || [];
+        const attachments = await this.attachments.resolve(items, { workspaceId: agent.workspaceId });
+        const entry = {
+            role: 'user',
+            content: message,
+            ...(attachments.length > 0 && { attachments: attachments.map(describeAttachment) })
+        };
+
+        let answer;
+        try {
+            answer = await this.answer(agent, entry, background, outputSchema, context);
+        } catch (error) {
+            // Images sent inline belong to no memory yet; uploads stay for another try
+            this.attachments.discard(attachments.filter((record, index) => !items[index].id));
+            throw error;
+        }
+        const { response, output, repairs, turn, contextWindow, messages } = answer;
+
+        // Memory keeps the final answer only; tool traffic and repairs stay within this call
+        agent.memory.push(entry, { role: 'assistant', content: response });
+        this.persist('agents', agent);
+        if (agent.longTermMemory) {
+            this.longTermMemory.remember({
+                agentId: agent.id,
+                workspaceId: agent.workspaceId,
+                collaborationId: context.collaborationId || null,
+                user: message,
+                assistant: response
+            });
+        }
+
+        return {
+            agent: {
+                id: agent.id,
+                name: agent.name,
+                role: agent.role,
+                provider: agent.provider
+            },
+            response,
+            ...(outputSchema && { output, repairs }),
+            ...(entry.attachments && { attachments: entry.attachments }),
+            usage: turn.usage,
+            target: turn.target,
+            fallback: turn.failover.length > 0,
+            failover: turn.failover,
+            toolCalls: turn.toolCalls,
+            context: {
+                ...contextWindow,
+                recalled: recalled.map(item => ({ id: item.id, score: item.score })),
+                promptTokens: messageTokens(messages)
+            }
+        };
+    }
+
+    // Fits the context, calls the model (tools included) and repairs structured output;
+    // agent memory is left for the caller to update once there is an answer
+    async answer(agent, entry, background, outputSchema, context) {
+        const contextWindow = await this.fitContext(agent, entry, context, background);
+
+        // Build conversation context
+        const messages = [
+            { role: 'system', content: agent.instructions },
+            ...(agent.summary ? [summaryMessage(agent.summary)] : []),
+            ...background,
+            ...await Promise.all([...agent.memory, entry].map(item => this.providerMessage(item)))
+        ];
+
+        const options = {
+            ...(context.options || {}),
+            ...(outputSchema && { responseFormat: { name: schemaName(outputSchema), schema: outputSchema } })
+        };
+        const turn = {
+            toolCalls: [],
+            failover: [],
+            usage: { inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 },
+            target: null,
+            // Tool traffic has to fit in what the prompt may still grow to
+            promptLimit: contextWindow.limit - contextWindow.reserve
+        };
+        let response = await this.converse(agent, messages, options, context, turn);
+
+        // Structured replies are validated and sent back with the problems listed until they conform
+        let output = null;
+        let repairs = 0;
+        if (outputSchema) {
+            let check = checkOutput(response, outputSchema);
+            while (!check.valid && repairs < JSON_REPAIR_ATTEMPTS) {
+                repairs++;
+                messages.push({ role: 'assistant', content: response }, { role: 'user', content: repairPrompt(check.errors) });
+                response = await this.converse(agent, messages, options, context, turn);
+                check = checkOutput(response, outputSchema);
+            }
+            if (!check.valid) {
+                throw new StructuredOutputError(
+                    `${agent.name} did not produce JSON matching the output schema after ${repairs} repair attempt${repairs === 1 ? '' : 's'}`,
+                    check.errors,
+                    response
+                );
+            }
+            output = check.value;
+        }
+
+        return { response, output, repairs, turn, contextWindow, messages };
+    }
+
+    // Memory keeps images as attachment references; providers get them as content parts
+    async providerMessage(entry) {
+        return entry.attachments
+            ? { role: entry.role, content: await contentParts(entry.content, entry.attachments, this.attachments) }
+            : entry;
+    }
+
+    // Deletes the images of memory entries that have left memory, unless some agent's memory
+    // (a clone's, say) or an entry still being answered (inUse) refers to them
+    releaseAttachments(entries, inUse = []) {
+        const ids = new Set(entries.flatMap(entry => (entry.attachments || []).map(reference => reference.id)));
+        if (ids.size === 0) {
+            return;
+        }
+        for (const entry of [...Array.from(this.agents.values()).flatMap(agent => agent.memory), ...inUse]) {
+            (entry.attachments || []).forEach(reference => ids.delete(reference.id));
+        }
+        this.attachments.discard(Array.from(ids, id => this.attachments.get(id)).filter(Boolean));
+    }
+
+    // Runs model calls until there is a final answer, executing requested tools in between.
+    // Offers the agent's tools; after MAX_TOOL_ROUNDS, or once tool results fill the prompt up
+    // to turn.promptLimit, the model has to answer with what it has. Appends the tool traffic
+    // to messages and accumulates usage, failover and tool calls in turn
+    async converse(agent, messages, baseOptions, context, turn) {
+        const tools = this.tools.definitions(agent.tools || []);
+
+        for (let round = 0; ; round++) {
+            const full = messageTokens(messages) >= turn.promptLimit;
+            const options = tools.length > 0
+                ? { ...baseOptions, tools, toolChoice: round < MAX_TOOL_ROUNDS && !full ? 'auto' : 'none' }
+                : baseOptions;
+            const call = await this.callTargets(agent, messages, options, context);
+            turn.failover.push(...call.failover);
+            turn.target = call.target;
+
+            const record = this.usage.record({
+                workspaceId: agent.workspaceId,
+                agentId: agent.id,
+                collaborationId: context.collaborationId || null,
+                provider: call.target.provider,
+                model: call.target.model,
+                usage: call.response.usage
+            });
+            turn.usage.inputTokens += record.inputTokens;
+            turn.usage.outputTokens += record.outputTokens;
+            turn.usage.totalTokens += record.totalTokens;
+            turn.usage.cost = Math.round((turn.usage.cost + record.cost) * 1e6) / 1e6;
+
+            const assistantMessage = call.response.choices[0].message;
+            const requested = assistantMessage.tool_calls || [];
+            if (requested.length === 0 || round >= MAX_TOOL_ROUNDS || full) {
+                return assistantMessage.content || '';
+            }
+
+            messages.push({ role: 'assistant', content: assistantMessage.content || null, tool_calls: requested });
+            for (const [index, request] of requested.entries()) {
+                const { result, error } = await this.tools.run(request.function.name, request.function.arguments, {
+                    allowed: agent.tools || [],
+                    signal: context.signal || null
+                });
+                const entry = {
+                    id: request.id,
+                    name: request.function.name,
+                    arguments: request.function.arguments,
+                    result,
+                    error,
+                    round: round + 1
+                };
+                turn.toolCalls.push(entry);
+                if (context.onToolCall) {
+                    context.onToolCall(entry);
+                }
+                // Results still to come this round get an equal share of the room left
+                const room = Math.floor((turn.promptLimit - messageTokens(messages)) / (requested.length - index)) - MESSAGE_OVERHEAD_TOKENS;
+                messages.push({ role: 'tool', tool_call_id: request.id, content: clipToTokens(result, room) });
+            }
+        }
+    }
+
+    // Calls the primary target, then each fallback while failures stay retryable
+    async callTargets(agent, messages, options, context) {
+        const targets = [{ provider: agent.provider, model: agent.model }, ...(agent.fallbacks || [])];
+        const failover = [];
+
+        for (const [index, candidate] of targets.entries()) {
+            let streamed = false;
+            try {
+                const response = await this.apiClient.callAPI(
+                    candidate.provider,
+                    messages,
+                    candidate.model,
+                    options,
+                    {
+                        signal: context.signal || null,
+                        onToken: context.onToken && ((token) => {
+                            streamed = true;
+                            context.onToken(token);
+                        })
+                    }
+                );
+                return { response, target: candidate, failover };
+            } catch (error) {
+                const exhausted = index === targets.length - 1;
+                if (exhausted || streamed || !error.retryable || (context.signal && context.signal.aborted)) {
+                    throw error;
+                }
+
+                failover.push({ ...candidate, error: error.message });
+                console.warn(`Agent ${agent.name}: ${candidate.provider}/${candidate.model} failed (${error.message}), failing over to ${targets[index + 1].provider}/${targets[index + 1].model}`);
+            }
+        }
+    }
+
+    // History listing, newest first. filter: { workspaceId, status, strategy, agentId, q }
+    // where q matches the goal; returns a page of summaries without transcripts
+    listCollaborations(filter = {}, { limit = 20, offset = 0 } = {}) {
+        const q = filter.q ? filter.q.toLowerCase() : null;
+        const matches = Array.from(this.collaborations.values())
+            .filter(collaboration =>
+                (!filter.workspaceId || collaboration.workspaceId === filter.workspaceId) &&
+                (!filter.status || collaboration.status === filter.status) &&
+                (!filter.strategy || (collaboration.strategy || 'round_robin') === filter.strategy) &&
+                (!filter.agentId || collaboration.agents.includes(filter.agentId)) &&
+                (!q || collaboration.goal.toLowerCase().includes(q))
+            )
+            .sort((a, b) => b.started - a.started);
+
+        return {
+            total: matches.length,
+            limit,
+            offset,
+            collaborations: matches.slice(offset, offset + limit).map(collaboration => this.summarizeCollaboration(collaboration))
+        };
+    }
+
+    summarizeCollaboration(collaboration) {
+        const { conversation, ...summary } = collaboration;
+        return {
+            ...summary,
+            strategy: collaboration.strategy || 'round_robin',
+            // Agents may have been deleted since; fall back to names seen in the transcript
+            participants: collaboration.agents.map((agentId) => {
+                const agent = this.agents.get(agentId);
+                const entry = conversation.find(e => e.agent && e.agent.id === agentId && e.agent.name);
+                return { id: agentId, name: agent ? agent.name : (entry ? entry.agent.name : 'Deleted agent') };
+            }),
+            turns: conversation.length
+        };
+    }
+
+    // Runs a collaboration to the end; see startCollaboration for the options
+    async collaborateAgents(agentIds, goal, iterations = 3, options = {}) {
+        const { finished } = await this.startCollaboration(agentIds, goal, iterations, options);
+        return finished;
+    }
+
+    runningCollaboration(collaborationId) {
+        const running = this.running.get(collaborationId);
+        if (!running) {
+            throw new Error('Collaboration is not running');
+        }
+        return running;
+    }
+
+    cancelCollaboration(collaborationId, by = null) {
+        const { control, collaboration } = this.runningCollaboration(collaborationId);
+        control.cancel(by);
+        return collaboration;
+    }
+
+    pauseCollaboration(collaborationId) {
+        const { control, collaboration, emit } = this.runningCollaboration(collaborationId);
+        if (control.pause()) {
+            collaboration.status = 'paused';
+            this.persist('collaborations', collaboration);
+            emit('collaboration_paused', {});
+        }
+        return collaboration;
+    }
+
+    resumeCollaboration(collaborationId) {
+        const { control, collaboration, emit } = this.runningCollaboration(collaborationId);
+        if (control.resume()) {
+            collaboration.status = 'running';
+            this.persist('collaborations', collaboration);
+            emit('collaboration_resumed', {});
+        }
+        return collaboration;
+    }
+
+    // Validates and launches a collaboration, resolving with { collaboration, finished }
+    // as soon as it starts; finished resolves with the final record.
+    // options.onEvent receives collaboration_started, then turn-level progress:
+    // turn_started, agent_responded, agent_errored, agent_skipped, iteration_finished,
+    // collaboration_paused/resumed, stop_condition_met and budget_exceeded, each
+    // tagged with the collaboration id. options.strategy picks how agents take
+    // turns (see strategies.js) and options.termination when to stop early (see
+    // termination.js). options.budget caps the whole run and options.budget.perAgent
+    // (or an agent's own budget) caps each participant. With options.workspaceId
+    // every participant must belong to that workspace
+    async startCollaboration(agentIds, goal, iterations = 3, options = {}) {
+        if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_COLLABORATION_ITERATIONS) {
+            throw new Error(`iterations must be an integer between 1 and ${MAX_COLLABORATION_ITERATIONS}`);
+        }
+
+        const termination = normalizeTermination(options.termination);
+        const judgeIds = termination.judge ? [termination.judge.agentId] : [];
+        for (const agentId of [...agentIds, ...judgeIds]) {
+            const agent = this.agents.get(agentId);
+            if (!agent || (options.workspaceId && agent.workspaceId !== options.workspaceId)) {
+                throw new AccessError(`Agent not found: ${agentId}`, 404, 'NOT_FOUND');
+            }
+        }
+
+        const strategyName = options.strategy || 'round_robin';
+        const strategy = getStrategy(strategyName);
+        if (agentIds.length < strategy.minAgents) {
+            throw new Error(`The ${strategyName} strategy needs at least ${strategy.minAgents} agents`);
+        }
+
+        const { onEvent = null } = options;
+        const budget = normalizeBudget(options.budget || {}, defaultCollaborationBudget());
+        const perAgentBudget = normalizeBudget((options.budget && options.budget.perAgent) || {});
+
+        const emit = (type, payload) => {
+            if (onEvent) {
+                onEvent({ type, collaborationId: collaboration.id, timestamp: Date.now(), ...payload });
+            }
+        };
+
+        const collaboration = {
+            id: uuidv4(),
+            workspaceId: options.workspaceId || null,
+            startedBy: options.userId || null,
+            goal,
+            strategy: strategyName,
+            agents: agentIds,
+            conversation: [],
+            status: 'running',
+            termination,
+            budget,
+            started: Date.now()
+        };
+
+        // A judge adds one evaluation turn per round
+        const totalTurns = strategy.plannedTurns(agentIds.length, iterations) + (termination.judge ? iterations : 0);
+        const stagnation = termination.stagnation && new StagnationDetector(termination.stagnation);
+        const control = new CollaborationControl();
+        let roundStart = 0;
+        let turn = 0;
+        // Participants as of the start, for agents deleted while the run goes on
+        const snapshots = new Map([...agentIds, ...judgeIds].map((agentId) => {
+            const { id, name, role } = this.agents.get(agentId);
+            return [agentId, { id, name, role }];
+        }));
+        const skip = (entry, progress) => {
+            collaboration.conversation.push(entry);
+            emit('agent_skipped', { ...progress, entry });
+            return null;
+        };
+        // Time each agent has spent answering, for per-agent maxDurationMs
+        const agentTime = new Map();
+
+        const run = {
+            goal,
+            agentIds,
+            iterations,
+            agent: (agentId) => this.agents.get(agentId) || snapshots.get(agentId),
+
+            turn: async (agentId, message, { iteration, step }) => {
+                await control.waitWhilePaused();
+                turn++;
+                const progress = { iteration, turn, totalTurns };
+
+                if (control.cancelled) {
+                    throw new CollaborationStopped('cancelled', { by: control.cancelledBy }, progress, 'cancelled');
+                }
+
+                // Budgets are enforced between turns; a call in flight always completes
+                const exceeded = exceededLimit(
+                    budget,
+                    this.usage.totals({ collaborationId: collaboration.id }),
+                    control.activeTime(collaboration.started)
+                );
+                if (exceeded) {
+                    throw new CollaborationStopped('budget_exceeded', exceeded, progress, 'budget_exceeded');
+                }
+
+                const agent = this.agents.get(agentId);
+                if (!agent) {
+                    return skip({
+                        iteration,
+                        step,
+                        timestamp: Date.now(),
+                        agent: { id: agentId, name: snapshots.get(agentId).name },
+                        skipped: 'agent_deleted',
+                        error: 'Agent was deleted during the collaboration'
+                    }, progress);
+                }
+                const agentBudget = { ...perAgentBudget, ...agent.budget };
+                const agentExceeded = exceededLimit(
+                    agentBudget,
+                    this.usage.totals({ collaborationId: collaboration.id, agentId }),
+                    agentTime.get(agentId) || 0
+                );
+                if (agentExceeded) {
+                    return skip({
+                        iteration,
+                        step,
+                        timestamp: Date.now(),
+                        agent: { id: agentId, name: agent.name },
+                        skipped: 'budget_exceeded',
+                        error: `Agent budget exceeded (${agentExceeded.limit}: ${agentExceeded.spent} of ${agentExceeded.max})`
+                    }, progress);
+                }
+
+                emit('turn_started', { ...progress, agentId, step });
+
+                const asksForSentinel = termination.sentinel && step !== 'evaluation';
+                let entry;
+                const turnStarted = Date.now();
+                try {
+                    const result = await this.executeAgent(
+                        agentId,
+                        message,
+                        {
+                            collaborationId: collaboration.id,
+                            signal: control.signal,
+                            ...(asksForSentinel && { background: [sentinelInstruction(termination.sentinel)] })
+                        }
+                    );
+                    entry = {
+                        iteration,
+                        step,
+                        timestamp: Date.now(),
+                        ...result
+                    };
+                    if (step === 'evaluation') {
+                        entry.score = parseScore(result.response);
+                    }
+                    collaboration.conversation.push(entry);
+                    emit('agent_responded', { ...progress, entry });
+                } catch (error) {
+                    if (control.cancelled) {
+                        throw new CollaborationStopped('cancelled', { by: control.cancelledBy }, progress, 'cancelled');
+                    }
+                    const entry = {
+                        iteration,
+                        step,
+                        timestamp: Date.now(),
+                        agent: { id: agentId, name: snapshots.get(agentId).name },
+                        error: error.message
+                    };
+                    collaboration.conversation.push(entry);
+                    emit('agent_errored', { ...progress, entry });
+                    return null;
+                } finally {
+                    agentTime.set(agentId, (agentTime.get(agentId) || 0) + Date.now() - turnStarted);
+                }
+
+                if (asksForSentinel && containsSentinel(entry.response, termination.sentinel)) {
+                    throw new CollaborationStopped('sentinel', { agentId, sentinel: termination.sentinel }, progress);
+                }
+                return entry;
             },
-            body: JSON.stringify({
-                model,
-                max_tokens: options.maxTokens || 2000,
-                temperature: options.temperature || 0.7,
-                system: systemMessages.map(m => m.content).join('\n'),
-                messages: conversationMessages,
-                ...options
-            })
+
+            finishIteration: async (iteration) => {
+                emit('iteration_finished', { iteration, iterations, turn, totalTurns });
+                const progress = { iteration, turn, totalTurns };
+                const round = collaboration.conversation.slice(roundStart).filter(entry => entry.response);
+
+                if (termination.judge) {
+                    const { agentId, threshold } = termination.judge;
+                    const evaluation = await run.turn(agentId, judgePrompt(goal, transcript(round)), { iteration, step: 'evaluation' });
+                    if (evaluation && evaluation.score !== null && evaluation.score >= threshold) {
+                        throw new CollaborationStopped('judge', { agentId, score: evaluation.score, threshold }, progress);
+                    }
+                }
+
+                roundStart = collaboration.conversation.length;
+                const stagnant = stagnation && stagnation.observe(round);
+                if (stagnant) {
+                    throw new CollaborationStopped('stagnation', stagnant, progress);
+                }
+            }
+        };
+
+        const finish = async () => {
+            try {
+                await strategy.run(run);
+                collaboration.status = 'completed';
+                collaboration.stopReason = 'iterations';
+            } catch (error) {
+                if (!(error instanceof CollaborationStopped)) {
+                    collaboration.status = 'failed';
+                    collaboration.error = error.message;
+                    throw error;
+                }
+                collaboration.status = error.status;
+                collaboration.stopReason = error.reason;
+                collaboration.stopDetail = error.detail;
+                if (error.reason === 'budget_exceeded') {
+                    collaboration.budgetExceeded = error.detail;
+                    emit('budget_exceeded', { ...error.progress, ...error.detail });
+                } else if (error.reason === 'cancelled') {
+                    emit('collaboration_cancelled', { ...error.progress, ...error.detail });
+                } else {
+                    emit('stop_condition_met', { ...error.progress, reason: error.reason, ...error.detail });
+                }
+            } finally {
+                this.running.delete(collaboration.id);
+                collaboration.completed = Date.now();
+                collaboration.usage = this.usage.totals({ collaborationId: collaboration.id });
+                this.persist('collaborations', collaboration);
+            }
+            return collaboration;
+        };
+
+        this.collaborations.set(collaboration.id, collaboration);
+        this.running.set(collaboration.id, { control, collaboration, emit });
+        this.persist('collaborations', collaboration);
+        emit('collaboration_started', {
+            strategy: strategyName,
+            agents: agentIds,
+            iterations,
+            totalTurns
+        });
+
+        return { collaboration, finished: finish() };
+    }
+}
+
+// Security middleware
+app.use(helmet({
+    contentSecurityPolicy: {
+        directives: {
+            defaultSrc: ["'self'"],
+            scriptSrc: ["'self'", "'unsafe-inline'"],
+            styleSrc: ["'self'", "'unsafe-inline'"],
+            imgSrc: ["'self'", "data:", "blob:", "https:"],
+            connectSrc: ["'self'", "ws:", "wss:"]
+        }
+    }
+}));
+
+// CORS configuration
+app.use(cors({
+    origin: process.env.CORS_ORIGIN || 'http://localhost:3001',
+    credentials: true
+}));
+
+// Compression
+app.use(compression());
+
+// Rate limiting
+const globalLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: parseInt(process.env.GLOBAL_RATE_LIMIT) || 100,
+    message: 'Too many requests from this IP'
+});
+app.use(globalLimiter);
+
+// Body parsing
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+// Request logging
+app.use((req, res, next) => {
+    metrics.requests++;
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+    next();
+});
+
+// Initialize orchestrator
+const orchestrator = new DualAPIOrchestrator();
+const auth = new AuthService(orchestrator.store);
+const workspaces = new WorkspaceService(orchestrator.store);
+const authenticate = AUTH_ENABLED
+    ? requireAuth(auth)
+    : (req, res, next) => {
+        req.user = LOCAL_USER;
+        next();
+    };
+
+// The workspace a request acts on: explicit id, else the caller's personal workspace
+async function workspaceIdFor(user, requested) {
+    if (requested) {
+        return requested;
+    }
+
+    const personal = await workspaces.personalWorkspace(user);
+    if ((await orchestrator.store.list('workspaces')).length === 1) {
+        orchestrator.adoptOrphans(personal.id);
+    }
+    return personal.id;
+}
+
+// Route guard: resolves req.workspace from X-Workspace-Id / ?workspaceId= and checks the caller's role
+function withWorkspace(permission) {
+    return async (req, res, next) => {
+        try {
+            const workspaceId = await workspaceIdFor(req.user, req.get('x-workspace-id') || req.query.workspaceId);
+            const { workspace, role } = await workspaces.authorize(req.user, workspaceId, permission);
+            req.workspace = workspace;
+            req.workspaceRole = role;
+            next();
+        } catch (error) {
+            res.status(error.status || 400).json({ error: error.message, code: error.code });
+        }
+    };
+}
+
+// Agent-scoped actions are governed by the role in the agent's own workspace
+async function authorizeAgent(user, agentId, permission) {
+    const agent = orchestrator.agents.get(agentId);
+    try {
+        if (!agent) {
+            throw new AccessError('Agent not found', 404, 'NOT_FOUND');
+        }
+        await workspaces.authorize(user, agent.workspaceId, permission);
+    } catch (error) {
+        // Agents in workspaces the caller cannot see look the same as missing ones
+        throw error.status === 404 ? new AccessError('Agent not found', 404, 'NOT_FOUND') : error;
+    }
+    return agent;
+}
+
+// Attachments belong to the workspace they were uploaded to
+async function authorizeAttachment(user, attachmentId, permission) {
+    const attachment = orchestrator.attachments.get(attachmentId);
+    try {
+        if (!attachment) {
+            throw new AccessError('Attachment not found', 404, 'NOT_FOUND');
+        }
+        await workspaces.authorize(user, attachment.workspaceId, permission);
+    } catch (error) {
+        throw error.status === 404 ? new AccessError('Attachment not found', 404, 'NOT_FOUND') : error;
+    }
+    return attachment;
+}
+
+// Templates belong to the workspace they were created in
+async function authorizeTemplate(user, templateId, permission) {
+    try {
+        const template = orchestrator.templates.get(templateId);
+        await workspaces.authorize(user, template.workspaceId, permission);
+        return template;
+    } catch (error) {
+        throw error.status === 404 ? new AccessError('Template not found', 404, 'NOT_FOUND') : error;
+    }
+}
+
+// Same for collaborations, governed by the workspace they ran in
+async function authorizeCollaboration(user, collaborationId, permission) {
+    const collaboration = orchestrator.collaborations.get(collaborationId);
+    try {
+        if (!collaboration) {
+            throw new AccessError('Collaboration not found', 404, 'NOT_FOUND');
+        }
+        await workspaces.authorize(user, collaboration.workspaceId, permission);
+    } catch (error) {
+        throw error.status === 404 ? new AccessError('Collaboration not found', 404, 'NOT_FOUND') : error;
+    }
+    return collaboration;
+}
+
+// Stricter limit on credential endpoints to slow down password guessing
+const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.AUTH_RATE_LIMIT) || 20,
+    message: { error: 'Too many authentication attempts, try again later', code: 'RATE_LIMITED' }
+});
+
+// Serve static files
+app.use(express.static(path.join(__dirname, '../frontend')));
+
+// API Routes
+
+// Health check
+app.get('/health', (req, res) => {
+    const uptime = Date.now() - metrics.startTime;
+    res.json({
+        status: 'healthy',
+        uptime: uptime,
+        timestamp: Date.now(),
+        version: '2.0.0',
+        environment: NODE_ENV,
+        providers: Object.fromEntries(
+            orchestrator.apiClient.providers.list().map(adapter => [adapter.id, adapter.isConfigured()])
+        ),
+        memory: {
+            used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
+            total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024)
+        }
+    });
+});
+
+// Authentication: register, login and logout are reachable without credentials
+app.post('/api/auth/register', authLimiter, validate(schemas.credentials), async (req, res) => {
+    try {
+        // A signed-in user may create accounts for colleagues even when registration is closed
+        let createdBy = null;
+        const credential = credentialFromRequest(req);
+        if (credential) {
+            createdBy = (await auth.authenticate(credential)).id;
+        }
+
+        const user = await auth.register(req.body.username, req.body.password, createdBy);
+        res.status(201).json({ success: true, user });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+});
+
+app.post('/api/auth/login', authLimiter, validate(schemas.credentials), async (req, res) => {
+    try {
+        const session = await auth.login(req.body.username, req.body.password);
+        res.json({ success: true, ...session });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+});
+
+app.get('/api/auth/status', (req, res) => {
+    res.json({ success: true, authEnabled: AUTH_ENABLED });
+});
+
+// Every other API route requires a session token or API key
+app.use('/api', authenticate);
+
+app.post('/api/auth/logout', async (req, res) => {
+    await auth.logout(credentialFromRequest(req));
+    res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+    res.json({ success: true, user: req.user });
+});
+
+app.get('/api/auth/keys', async (req, res) => {
+    res.json({ success: true, keys: await auth.listApiKeys(req.user.id) });
+});
+
+app.post('/api/auth/keys', validate(schemas.createApiKey), async (req, res) => {
+    try {
+        const { key, apiKey } = await auth.createApiKey(req.user.id, req.body.name);
+        res.status(201).json({ success: true, key, apiKey });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/auth/keys/:id', async (req, res) => {
+    try {
+        await auth.revokeApiKey(req.user.id, req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+});
+
+// Workspaces
+app.get('/api/workspaces', async (req, res) => {
+    await workspaces.personalWorkspace(req.user);
+    res.json({ success: true, workspaces: await workspaces.listForUser(req.user.id) });
+});
+
+app.post('/api/workspaces', validate(schemas.createWorkspace), async (req, res) => {
+    try {
+        const workspace = await workspaces.create(req.user, req.body.name);
+        res.status(201).json({ success: true, workspace });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/api/workspaces/:id', async (req, res) => {
+    try {
+        const { workspace, role } = await workspaces.authorize(req.user, req.params.id, 'read');
+        res.json({ success: true, workspace: { ...workspace, role } });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+});
+
+// Add a member or change their role: { username, role }
+app.put('/api/workspaces/:id/members', validate(schemas.setMember), async (req, res) => {
+    try {
+        const { workspace } = await workspaces.authorize(req.user, req.params.id, 'manage');
+        const user = await auth.findUserByUsername(String(req.body.username || '').trim().toLowerCase());
+        if (!user) {
+            throw new AccessError('User not found', 404, 'NOT_FOUND');
+        }
+        res.json({ success: true, workspace: await workspaces.setMember(workspace, auth.publicUser(user), req.body.role) });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+});
+
+// Owners can remove anyone; any member can remove themselves
+app.delete('/api/workspaces/:id/members/:userId', async (req, res) => {
+    try {
+        const permission = req.params.userId === req.user.id ? 'read' : 'manage';
+        const { workspace } = await workspaces.authorize(req.user, req.params.id, permission);
+        res.json({ success: true, workspace: await workspaces.removeMember(workspace, req.params.userId) });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+});
+
+// System statistics
+app.get('/api/stats', withWorkspace('read'), (req, res) => {
+    res.json({
+        ...metrics,
+        activeSessions: sessions.size,
+        uptime: Date.now() - metrics.startTime,
+        usage: {
+            ...orchestrator.usage.totals({ workspaceId: req.workspace.id }),
+            byProvider: orchestrator.usage.aggregate('provider', { workspaceId: req.workspace.id })
+        },
+        rateLimits: orchestrator.apiClient.limiter.snapshot()
+    });
+});
+
+// Token usage and estimated cost, optionally grouped by agent, collaboration, provider, model or day
+app.get('/api/usage', withWorkspace('read'), validate(schemas.usageQuery), (req, res) => {
+    try {
+        const { groupBy, agentId, collaborationId, provider, model, from, to } = req.query;
+        const filter = { workspaceId: req.workspace.id, agentId, collaborationId, provider, model, from, to };
+        res.json({
+            success: true,
+            totals: orchestrator.usage.totals(filter),
+            ...(groupBy && { groupBy, groups: orchestrator.usage.aggregate(groupBy, filter) })
         });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
 
-        if (!response.ok) {
-            throw new Error(`Anthropic API error: ${response.status} ${response.statusText}`);
-        }
+// List registered providers
+app.get('/api/providers', (req, res) => {
+    const providers = orchestrator.apiClient.providers.list().map(adapter => adapter.describe());
+    res.json({ success: true, providers });
+});
 
-        const result = await response.json();
-        
-        // Convert back to OpenAI format for consistency
-        return {
-            choices: [{
-                message: {
-                    role: 'assistant',
-                    content: result.content[0].text
-                }
-            }],
-            usage: result.usage
-        };
+// Provider health check
+app.get('/api/providers/:id/health', async (req, res) => {
+    try {
+        const adapter = orchestrator.apiClient.providers.get(req.params.id);
+        const health = await adapter.healthCheck();
+        res.json({ success: true, provider: adapter.id, ...health });
+    } catch (error) {
+        res.status(404).json({ error: error.message });
     }
+});
 
-    async callAPI(provider, messages, model, options = {}) {
+// Upload an image to attach to agent messages: the raw file is the body, ?name= its file name
+app.post(
+    '/api/attachments',
+    withWorkspace('execute'),
+    validate(schemas.uploadAttachment),
+    express.raw({ type: ['image/*', 'application/octet-stream'], limit: MAX_ATTACHMENT_BYTES }),
+    async (req, res) => {
         try {
-            if (provider === 'openai') {
-                return await this.callOpenAI(messages, model, options);
-            } else if (provider === 'anthropic') {
-                return await this.callAnthropic(messages, model, options);
-            } else {
-                throw new Error(`Unsupported provider: ${provider}`);
+            if (!Buffer.isBuffer(req.body)) {
+                return res.status(415).json({
+                    error: 'Send the image file as the request body with an image/* Content-Type',
+                    code: 'UNSUPPORTED_MEDIA_TYPE'
+                });
             }
+            const attachment = await orchestrator.attachments.save({
+                workspaceId: req.workspace.id,
+                name: req.query.name,
+                buffer: req.body
+            });
+            res.status(201).json({ success: true, attachment: describeAttachment(attachment) });
         } catch (error) {
-            metrics.errors++;
-            throw error;
+            res.status(error.status || 400).json({ error: error.message, code: error.code });
         }
     }
-}
+);
 
-// Multi-Agent Orchestrator
-class DualAPIOrchestrator {
-    constructor() {
-        this.apiClient = new DualAPIClient();
-        this.agents = new Map();
+// The image itself, for thumbnails
+app.get('/api/attachments/:id', async (req, res) => {
+    try {
+        const attachment = await authorizeAttachment(req.user, req.params.id, 'read');
+        const buffer = await orchestrator.attachments.read(attachment.id);
+        if (!buffer) {
+            return res.status(404).json({ error: 'Attachment not found', code: 'NOT_FOUND' });
+        }
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.type(attachment.mediaType).send(buffer);
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
     }
+});
 
-    createAgent(config) {
-        const agent = {
-            id: uuidv4(),
-            name: config.name || 'Agent',
-            role: config.role || 'Assistant',
-            provider: config.provider || 'openai',
-            model: config.model || (config.provider === 'anthropic' ? 'claude-3-5-sonnet-20241022' : 'gpt-4'),
-            instructions: config.instructions || 'You are a helpful AI assistant.',
-            memory: [],
-            created: Date.now()
-        };
-        
-        this.agents.set(agent.id, agent);
-        return agent;
+// Agent memory keeps referring to deleted images; those turns get a note instead
+app.delete('/api/attachments/:id', async (req, res) => {
+    try {
+        await authorizeAttachment(req.user, req.params.id, 'execute');
+        res.json({ success: true, attachment: describeAttachment(orchestrator.attachments.delete(req.params.id)) });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
     }
+});
 
-    async executeAgent(agentId, message, context = {}) {
-        const agent = this.agents.get(agentId);
-        if (!agent) {
-            throw new Error('Agent not found');
-        }
+// Prompt templates of the current workspace, newest change first
+app.get('/api/templates', withWorkspace('read'), (req, res) => {
+    res.json({ success: true, templates: orchestrator.templates.list(req.workspace.id) });
+});
 
-        // Build conversation context
-        const messages = [
-            { role: 'system', content: agent.instructions },
-            ...agent.memory,
-            { role: 'user', content: message }
-        ];
+app.post('/api/templates', withWorkspace('create'), validate(schemas.createTemplate), (req, res) => {
+    try {
+        const { name, description, body } = req.body;
+        const template = orchestrator.templates.create({
+            workspaceId: req.workspace.id,
+            createdBy: req.user.id,
+            name,
+            description,
+            body
+        });
+        res.status(201).json({ success: true, template: orchestrator.templates.summary(template) });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+});
 
-        // Call appropriate API
-        const response = await this.apiClient.callAPI(
-            agent.provider,
-            messages,
-            agent.model,
-            context.options || {}
-        );
+// Every version plus the agents built from the template
+app.get('/api/templates/:id', async (req, res) => {
+    try {
+        const template = await authorizeTemplate(req.user, req.params.id, 'read');
+        const agents = orchestrator.agentsUsingTemplate(template.id).map(agent => ({
+            id: agent.id,
+            name: agent.name,
+            version: agent.template.version,
+            applied: agent.template.applied
+        }));
+        res.json({ success: true, template: { ...orchestrator.templates.summary(template), versions: template.versions }, agents });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+});
 
-        const assistantMessage = response.choices[0].message;
-        
-        // Update agent memory
-        agent.memory.push(
-            { role: 'user', content: message },
-            assistantMessage
-        );
+// A new body is saved as the next version and rolled out to agents following the latest one
+app.patch('/api/templates/:id', validate(schemas.updateTemplate), async (req, res) => {
+    try {
+        await authorizeTemplate(req.user, req.params.id, 'create');
+        const { template, version } = orchestrator.templates.update(req.params.id, { ...req.body, updatedBy: req.user.id });
+        const rollout = version ? orchestrator.rolloutTemplate(template.id) : { updated: [], skipped: [] };
+        res.json({ success: true, template: orchestrator.templates.summary(template), rollout });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+});
 
-        // Limit memory to prevent context overflow
-        if (agent.memory.length > 20) {
-            agent.memory = agent.memory.slice(-20);
+// Templates still referenced by agents cannot be deleted
+app.delete('/api/templates/:id', async (req, res) => {
+    try {
+        await authorizeTemplate(req.user, req.params.id, 'create');
+        const users = orchestrator.agentsUsingTemplate(req.params.id);
+        if (users.length > 0) {
+            return res.status(409).json({
+                error: `Template is used by ${users.length} agent${users.length === 1 ? '' : 's'}: ${users.map(agent => agent.name).join(', ')}`,
+                code: 'TEMPLATE_IN_USE'
+            });
         }
-
-        return {
-            agent: {
-                id: agent.id,
-                name: agent.name,
-                role: agent.role,
-                provider: agent.provider
-            },
-            response: assistantMessage.content,
-            usage: response.usage
-        };
+        const template = orchestrator.templates.delete(req.params.id);
+        res.json({ success: true, template: { id: template.id, name: template.name } });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
     }
+});
 
-    async collaborateAgents(agentIds, goal, iterations = 3) {
-        const collaboration = {
-            id: uuidv4(),
-            goal,
-            agents: agentIds,
-            conversation: [],
-            started: Date.now()
-        };
+// ?from=&to= version numbers; defaults to the latest version against the previous one
+app.get('/api/templates/:id/diff', validate(schemas.templateDiffQuery), async (req, res) => {
+    try {
+        await authorizeTemplate(req.user, req.params.id, 'read');
+        res.json({ success: true, diff: orchestrator.templates.diff(req.params.id, req.query.from, req.query.to) });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+});
 
-        let currentMessage = `Goal: ${goal}\n\nLet's work together to achieve this goal. Please provide your initial thoughts and approach.`;
+// Preview the instructions a template produces for the given variables
+app.post('/api/templates/:id/render', validate(schemas.renderTemplate), async (req, res) => {
+    try {
+        await authorizeTemplate(req.user, req.params.id, 'read');
+        const { version, text } = orchestrator.templates.render(req.params.id, req.body.variables || {}, req.body.version ?? null);
+        res.json({ success: true, version, instructions: text });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+});
 
-        for (let i = 0; i < iterations; i++) {
-            for (const agentId of agentIds) {
-                try {
-                    const result = await this.executeAgent(agentId, currentMessage);
-                    
-                    collaboration.conversation.push({
-                        iteration: i + 1,
-                        timestamp: Date.now(),
-                        ...result
-                    });
+// Tools agents can be allowed to call, with their JSON Schema parameters
+app.get('/api/tools', (req, res) => {
+    res.json({ success: true, tools: orchestrator.tools.list() });
+});
 
-                    // Next message includes previous responses
-                    currentMessage = `Previous responses:\n${collaboration.conversation
-                        .slice(-agentIds.length)
-                        .map(r => `${r.agent.name}: ${r.response}`)
-                        .join('\n\n')}\n\nPlease build upon these ideas and continue working toward our goal.`;
-                        
-                } catch (error) {
-                    collaboration.conversation.push({
-                        iteration: i + 1,
-                        timestamp: Date.now(),
-                        agent: { id: agentId },
-                        error: error.message
-                    });
-                }
-            }
-        }
+// Create agent
+app.post('/api/agents', withWorkspace('create'), validate(schemas.createAgent), (req, res) => {
+    try {
+        const agent = orchestrator.createAgent({
+            ...req.body,
+            workspaceId: req.workspace.id,
+            createdBy: req.user.id
+        });
+        res.json({ success: true, agent });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+});
 
-        collaboration.completed = Date.now();
-        return collaboration;
+// Execute single agent
+app.post('/api/agents/:id/execute', validate(schemas.executeAgent), async (req, res) => {
+    try {
+        await authorizeAgent(req.user, req.params.id, 'execute');
+        const { message, options, outputSchema, attachments } = req.body;
+        const result = await orchestrator.executeAgent(req.params.id, message, {
+            options,
+            outputSchema,
+            attachments
+        });
+        res.json({ success: true, result });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code, details: error.details });
     }
-}
+});
 
-// Security middleware
-app.use(helmet({
-    contentSecurityPolicy: {
-        directives: {
-            defaultSrc: ["'self'"],
-            scriptSrc: ["'self'", "'unsafe-inline'"],
-            styleSrc: ["'self'", "'unsafe-inline'"],
-            imgSrc: ["'self'", "data:", "https:"],
-            connectSrc: ["'self'", "ws:", "wss:"]
+// Start collaboration
+app.post('/api/collaborate', withWorkspace('execute'), validate(schemas.collaborate), async (req, res) => {
+    try {
+        const { agentIds, goal, iterations, strategy, termination, budget, wait } = req.body;
+        const { collaboration, finished } = await orchestrator.startCollaboration(agentIds, goal, iterations ?? 3, {
+            strategy,
+            termination,
+            budget,
+            workspaceId: req.workspace.id,
+            userId: req.user.id
+        });
+
+        // wait: false answers right away so the run can be paused or cancelled by id
+        if (wait === false) {
+            finished.catch(error => console.error(`Collaboration ${collaboration.id} failed:`, error));
+            return res.status(202).json({ success: true, collaboration });
         }
+        res.json({ success: true, collaboration: await finished });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
     }
-}));
+});
 
-// CORS configuration
-app.use(cors({
-    origin: process.env.CORS_ORIGIN || 'http://localhost:3001',
-    credentials: true
-}));
+// Collaboration history
+app.get('/api/collaborations', withWorkspace('read'), validate(schemas.collaborationQuery), (req, res) => {
+    const { status, strategy, agentId, q, limit, offset } = req.query;
+    const page = orchestrator.listCollaborations(
+        { workspaceId: req.workspace.id, status, strategy, agentId, q },
+        { limit: limit ?? 20, offset: offset ?? 0 }
+    );
+    res.json({ success: true, ...page });
+});
 
-// Compression
-app.use(compression());
+app.get('/api/collaborations/:id', async (req, res) => {
+    try {
+        const collaboration = await authorizeCollaboration(req.user, req.params.id, 'read');
+        res.json({ success: true, collaboration: { ...collaboration, ...orchestrator.summarizeCollaboration(collaboration) } });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+});
 
-// Rate limiting
-const globalLimiter = rateLimit({
-    windowMs: 60 * 1000, // 1 minute
-    max: parseInt(process.env.GLOBAL_RATE_LIMIT) || 100,
-    message: 'Too many requests from this IP'
+function sendExport(res, file) {
+    res.set('Content-Type', file.contentType);
+    res.attachment(file.filename);
+    res.send(file.body);
+}
+
+// ?format=markdown (default), json or html - downloaded as an attachment
+app.get('/api/collaborations/:id/export', validate(schemas.exportQuery), async (req, res) => {
+    try {
+        const collaboration = await authorizeCollaboration(req.user, req.params.id, 'read');
+        const { participants } = orchestrator.summarizeCollaboration(collaboration);
+        sendExport(res, exportCollaboration(collaboration, participants, req.query.format || 'markdown'));
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
 });
-app.use(globalLimiter);
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Cancel, pause or resume a running collaboration
+for (const action of ['cancel', 'pause', 'resume']) {
+    app.post(`/api/collaborations/:id/${action}`, async (req, res) => {
+        try {
+            await authorizeCollaboration(req.user, req.params.id, 'execute');
+            const collaboration = orchestrator[`${action}Collaboration`](req.params.id, req.user.id);
+            res.json({ success: true, collaboration: { id: collaboration.id, status: collaboration.status } });
+        } catch (error) {
+            res.status(error.status || 409).json({ error: error.message, code: error.code || 'NOT_RUNNING' });
+        }
+    });
+}
 
-// Request logging
-app.use((req, res, next) => {
-    metrics.requests++;
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-    next();
+// List agents
+app.get('/api/agents', withWorkspace('read'), (req, res) => {
+    const agents = orchestrator.listAgents(req.workspace.id);
+    res.json({ success: true, agents });
 });
 
-// Initialize orchestrator
-const orchestrator = new DualAPIOrchestrator();
+app.get('/api/agents/:id', async (req, res) => {
+    try {
+        const agent = await authorizeAgent(req.user, req.params.id, 'read');
+        res.json({ success: true, agent });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+});
 
-// Serve static files
-app.use(express.static(path.join(__dirname, '../frontend')));
+// Partial update of name, role, instructions, template, provider, model, fallbacks, budget,
+// context, longTermMemory, tools and outputSchema
+app.patch('/api/agents/:id', validate(schemas.updateAgent), async (req, res) => {
+    try {
+        await authorizeAgent(req.user, req.params.id, 'create');
+        const agent = orchestrator.updateAgent(req.params.id, req.body);
+        res.json({ success: true, agent });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+});
 
-// API Routes
+app.delete('/api/agents/:id', async (req, res) => {
+    try {
+        await authorizeAgent(req.user, req.params.id, 'create');
+        const agent = orchestrator.deleteAgent(req.params.id);
+        res.json({ success: true, agent: { id: agent.id, name: agent.name } });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+});
 
-// Health check
-app.get('/health', (req, res) => {
-    const uptime = Date.now() - metrics.startTime;
-    res.json({
-        status: 'healthy',
-        uptime: uptime,
-        timestamp: Date.now(),
-        version: '2.0.0',
-        environment: NODE_ENV,
-        providers: {
-            openai: !!process.env.OPENAI_API_KEY,
-            anthropic: !!process.env.ANTHROPIC_API_KEY
-        },
-        memory: {
-            used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
-            total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024)
+// Body: { name, includeMemory } - the clone lives in the same workspace as the source
+app.post('/api/agents/:id/clone', validate(schemas.cloneAgent), async (req, res) => {
+    try {
+        await authorizeAgent(req.user, req.params.id, 'create');
+        const overrides = { createdBy: req.user.id, includeMemory: req.body.includeMemory === true };
+        if (req.body.name) {
+            overrides.name = req.body.name;
         }
-    });
+        const agent = orchestrator.cloneAgent(req.params.id, overrides);
+        res.status(201).json({ success: true, agent });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
 });
 
-// System statistics
-app.get('/api/stats', (req, res) => {
-    res.json({
-        ...metrics,
-        activeSessions: sessions.size,
-        uptime: Date.now() - metrics.startTime,
-        rateLimits: orchestrator.apiClient.rateLimits
-    });
+app.get('/api/agents/:id/memory', async (req, res) => {
+    try {
+        const agent = await authorizeAgent(req.user, req.params.id, 'read');
+        res.json({ success: true, count: agent.memory.length, memory: agent.memory, summary: agent.summary || null });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
 });
 
-// Create agent
-app.post('/api/agents', (req, res) => {
+app.get('/api/agents/:id/memory/export', validate(schemas.exportQuery), async (req, res) => {
     try {
-        const agent = orchestrator.createAgent(req.body);
-        res.json({ success: true, agent });
+        const agent = await authorizeAgent(req.user, req.params.id, 'read');
+        sendExport(res, exportAgentMemory(agent, req.query.format || 'markdown'));
     } catch (error) {
-        res.status(400).json({ error: error.message });
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
     }
 });
 
-// Execute single agent
-app.post('/api/agents/:id/execute', async (req, res) => {
+// Long-term memory: ?q= ranks items by relevance, otherwise newest first
+app.get('/api/agents/:id/long-term-memory', validate(schemas.longTermMemoryQuery), async (req, res) => {
     try {
-        const { message, options } = req.body;
-        const result = await orchestrator.executeAgent(req.params.id, message, { options });
-        res.json({ success: true, result });
+        const agent = await authorizeAgent(req.user, req.params.id, 'read');
+        const { q, limit, offset } = req.query;
+        if (q) {
+            const items = orchestrator.longTermMemory.search(agent.id, q, { limit: limit ?? 20 });
+            return res.json({ success: true, enabled: !!agent.longTermMemory, q, items });
+        }
+        const page = orchestrator.longTermMemory.list(agent.id, { limit: limit ?? 20, offset: offset ?? 0 });
+        res.json({ success: true, enabled: !!agent.longTermMemory, ...page });
     } catch (error) {
-        res.status(400).json({ error: error.message });
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
     }
 });
 
-// Start collaboration
-app.post('/api/collaborate', async (req, res) => {
+app.delete('/api/agents/:id/long-term-memory', async (req, res) => {
     try {
-        const { agentIds, goal, iterations } = req.body;
-        const collaboration = await orchestrator.collaborateAgents(agentIds, goal, iterations);
-        res.json({ success: true, collaboration });
+        const agent = await authorizeAgent(req.user, req.params.id, 'create');
+        res.json({ success: true, removed: orchestrator.longTermMemory.clear(agent.id) });
     } catch (error) {
-        res.status(400).json({ error: error.message });
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
     }
 });
 
-// List agents
-app.get('/api/agents', (req, res) => {
-    const agents = Array.from(orchestrator.agents.values());
-    res.json({ success: true, agents });
+app.delete('/api/agents/:id/long-term-memory/:itemId', async (req, res) => {
+    try {
+        const agent = await authorizeAgent(req.user, req.params.id, 'create');
+        const item = orchestrator.longTermMemory.items.get(req.params.itemId);
+        if (!item || item.agentId !== agent.id) {
+            throw new AccessError('Memory item not found', 404, 'NOT_FOUND');
+        }
+        orchestrator.longTermMemory.delete(agent.id, item.id);
+        res.json({ success: true, item: { id: item.id } });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+});
+
+// Clears memory, or with ?keep=N keeps only the N most recent messages
+app.delete('/api/agents/:id/memory', validate(schemas.truncateMemory), async (req, res) => {
+    try {
+        await authorizeAgent(req.user, req.params.id, 'create');
+        const removed = orchestrator.truncateMemory(req.params.id, req.query.keep ?? 0);
+        res.json({ success: true, removed, count: orchestrator.agents.get(req.params.id).memory.length });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
 });
 
 // WebSocket Server for real-time communication
@@ -411,6 +1850,8 @@ wss.on('connection', (ws, req) => {
         id: sessionId,
         ws,
         ip: req.socket.remoteAddress,
+        user: AUTH_ENABLED ? null : LOCAL_USER,
+        collaborations: new Set(),
         created: Date.now(),
         lastActivity: Date.now()
     };
@@ -421,17 +1862,57 @@ wss.on('connection', (ws, req) => {
     
     console.log(`WebSocket connected: ${sessionId} (${sessions.size} active)`);
     
+    // Clients must send { type: 'auth', token } (session token or API key) before anything else
+    const authTimer = AUTH_ENABLED && setTimeout(() => {
+        if (!session.user) {
+            ws.close(4001, 'Authentication timeout');
+        }
+    }, WS_AUTH_TIMEOUT);
+    
     // Send welcome message
     ws.send(JSON.stringify({
         type: 'connected',
         sessionId,
+        authRequired: AUTH_ENABLED,
         timestamp: Date.now()
     }));
     
     ws.on('message', async (data) => {
+        let requestId;
         try {
             session.lastActivity = Date.now();
-            const message = JSON.parse(data);
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                ws.send(JSON.stringify({ type: 'error', code: 'INVALID_JSON', message: 'Messages must be valid JSON', timestamp: Date.now() }));
+                return;
+            }
+            requestId = message && message.requestId;
+            await validateMessage(message);
+            
+            if (message.type === 'auth') {
+                try {
+                    session.user = await auth.authenticate(message.token);
+                    clearTimeout(authTimer);
+                    ws.send(JSON.stringify({ type: 'authenticated', user: session.user, timestamp: Date.now() }));
+                } catch (error) {
+                    ws.send(JSON.stringify({ type: 'error', code: error.code, message: error.message, timestamp: Date.now() }));
+                    ws.close(4001, 'Authentication failed');
+                }
+                return;
+            }
+            
+            if (!session.user && message.type !== 'ping') {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    requestId,
+                    code: 'AUTH_REQUIRED',
+                    message: 'Authenticate with { type: "auth", token } first',
+                    timestamp: Date.now()
+                }));
+                return;
+            }
             
             switch (message.type) {
                 case 'ping':
@@ -439,10 +1920,52 @@ wss.on('connection', (ws, req) => {
                     break;
                     
                 case 'execute_agent':
+                    await authorizeAgent(session.user, message.agentId, 'execute');
+                    if (message.stream) {
+                        const streamed = await orchestrator.executeAgent(
+                            message.agentId,
+                            message.message,
+                            {
+                                options: message.context && message.context.options,
+                                outputSchema: message.context && message.context.outputSchema,
+                                attachments: message.attachments,
+                                onToken: (token) => {
+                                    ws.send(JSON.stringify({
+                                        type: 'agent_token',
+                                        requestId: message.requestId,
+                                        agentId: message.agentId,
+                                        token,
+                                        timestamp: Date.now()
+                                    }));
+                                },
+                                onToolCall: (toolCall) => {
+                                    ws.send(JSON.stringify({
+                                        type: 'agent_tool_call',
+                                        requestId: message.requestId,
+                                        agentId: message.agentId,
+                                        toolCall,
+                                        timestamp: Date.now()
+                                    }));
+                                }
+                            }
+                        );
+                        ws.send(JSON.stringify({
+                            type: 'agent_response_done',
+                            requestId: message.requestId,
+                            result: streamed,
+                            timestamp: Date.now()
+                        }));
+                        break;
+                    }
+
                     const result = await orchestrator.executeAgent(
                         message.agentId,
                         message.message,
-                        message.context || {}
+                        {
+                            options: message.context && message.context.options,
+                            outputSchema: message.context && message.context.outputSchema,
+                            attachments: message.attachments
+                        }
                     );
                     ws.send(JSON.stringify({
                         type: 'agent_response',
@@ -453,18 +1976,60 @@ wss.on('connection', (ws, req) => {
                     break;
                     
                 case 'start_collaboration':
-                    const collaboration = await orchestrator.collaborateAgents(
+                    const { workspace } = await workspaces.authorize(
+                        session.user,
+                        await workspaceIdFor(session.user, message.workspaceId),
+                        'execute'
+                    );
+                    const { collaboration: started, finished } = await orchestrator.startCollaboration(
                         message.agentIds,
                         message.goal,
-                        message.iterations || 3
+                        message.iterations || 3,
+                        {
+                            strategy: message.strategy,
+                            termination: message.termination,
+                            budget: message.budget,
+                            workspaceId: workspace.id,
+                            userId: session.user.id,
+                            onEvent: (event) => {
+                                if (ws.readyState === WebSocket.OPEN) {
+                                    ws.send(JSON.stringify({
+                                        type: 'collaboration_event',
+                                        requestId: message.requestId,
+                                        event
+                                    }));
+                                }
+                            }
+                        }
                     );
+                    // Runs started from this connection stop when it closes
+                    session.collaborations.add(started.id);
+                    const collaboration = await finished.finally(() => session.collaborations.delete(started.id));
+                    if (ws.readyState === WebSocket.OPEN) {
+                        ws.send(JSON.stringify({
+                            type: 'collaboration_result',
+                            requestId: message.requestId,
+                            collaboration,
+                            timestamp: Date.now()
+                        }));
+                    }
+                    break;
+                    
+                case 'cancel_collaboration':
+                case 'pause_collaboration':
+                case 'resume_collaboration': {
+                    await authorizeCollaboration(session.user, message.collaborationId, 'execute');
+                    const action = message.type.replace('_collaboration', '');
+                    const controlled = orchestrator[`${action}Collaboration`](message.collaborationId, session.user.id);
                     ws.send(JSON.stringify({
-                        type: 'collaboration_result',
+                        type: 'collaboration_status',
                         requestId: message.requestId,
-                        collaboration,
+                        collaborationId: controlled.id,
+                        status: controlled.status,
                         timestamp: Date.now()
                     }));
                     break;
+                }
                     
                 default:
                     ws.send(JSON.stringify({
@@ -476,13 +2041,21 @@ wss.on('connection', (ws, req) => {
         } catch (error) {
             ws.send(JSON.stringify({
                 type: 'error',
+                requestId,
+                code: error.code,
                 message: error.message,
+                details: error.details,
                 timestamp: Date.now()
             }));
         }
     });
     
     ws.on('close', () => {
+        clearTimeout(authTimer);
+        // Nobody is listening any more, so stop spending tokens on their collaborations
+        for (const collaborationId of session.collaborations) {
+            orchestrator.cancelCollaboration(collaborationId, 'disconnect');
+        }
         sessions.delete(sessionId);
         metrics.activeSessions = sessions.size;
         console.log(`WebSocket disconnected: ${sessionId} (${sessions.size} active)`);
@@ -508,6 +2081,10 @@ setInterval(() => {
     }
     
     metrics.activeSessions = sessions.size;
+    
+    auth.pruneSessions().catch((error) => {
+        console.error('Failed to prune expired login sessions:', error);
+    });
 }, 5 * 60 * 1000); // Check every 5 minutes
 
 // Serve frontend
@@ -517,6 +2094,13 @@ app.get('*', (req, res) => {
 
 // Error handling
 app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body must be valid JSON', code: 'INVALID_JSON' });
+    }
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: `Request body must be at most ${error.limit} bytes`, code: 'PAYLOAD_TOO_LARGE' });
+    }
+
     console.error('Server error:', error);
     metrics.errors++;
     res.status(500).json({ error: 'Internal server error' });
@@ -541,8 +2125,8 @@ process.on('SIGINT', () => {
     });
 });
 
-// Start server
-server.listen(PORT, () => {
+// Start server once persisted state has been restored
+orchestrator.load().then(() => server.listen(PORT, () => {
     console.log(`
 🚀 Dual-AI Orchestrator Platform running!`);
     console.log(`📡 HTTP Server: http://localhost:${PORT}`);
@@ -550,7 +2134,11 @@ server.listen(PORT, () => {
     console.log(`🧠 OpenAI: ${process.env.OPENAI_API_KEY ? '✅ Configured' : '❌ Not configured'}`);
     console.log(`🤖 Anthropic: ${process.env.ANTHROPIC_API_KEY ? '✅ Configured' : '❌ Not configured'}`);
     console.log(`🍎 Environment: ${NODE_ENV} (macOS optimized)`);
+    console.log(`🗄️  Storage: ${orchestrator.store.constructor.name} (${orchestrator.agents.size} agents restored)`);
     console.log(`💾 Memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB used\n`);
+})).catch((error) => {
+    console.error('Failed to load persisted state:', error);
+    process.exit(1);
 });
 
 module.exports = { app, server, orchestrator };
\ No newline at end of file
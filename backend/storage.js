@@ -0,0 +1,246 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - PERSISTENCE LAYER
+ * Pluggable record stores for agents, collaborations and other platform state
+ * The file store keeps one JSON document per collection under DATA_DIRECTORY
+ * High-volume data (usage, long-term memory) goes to append-only logs instead:
+ * one JSON line per entry in <name>.jsonl, so a write never rewrites the history
+ * Binary blobs (attachment bytes) are files of their own under <name>/<id>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// In-memory store (no persistence across restarts, useful for development)
+class MemoryStore {
+    constructor() {
+        this.collections = new Map();
+        this.logs = new Map();
+        this.blobs = new Map();
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Map());
+        }
+        return this.collections.get(name);
+    }
+
+    async list(name) {
+        return Array.from(this.collection(name).values());
+    }
+
+    async get(name, id) {
+        return this.collection(name).get(id) || null;
+    }
+
+    async put(name, record) {
+        this.collection(name).set(record.id, record);
+        return record;
+    }
+
+    async delete(name, id) {
+        return this.collection(name).delete(id);
+    }
+
+    // Removes several records at once; returns how many existed
+    async deleteMany(name, ids) {
+        const records = this.collection(name);
+        return ids.filter(id => records.delete(id)).length;
+    }
+
+    log(name) {
+        if (!this.logs.has(name)) {
+            this.logs.set(name, []);
+        }
+        return this.logs.get(name);
+    }
+
+    async append(name, entries) {
+        this.log(name).push(...[].concat(entries));
+    }
+
+    async readLog(name) {
+        return [...this.log(name)];
+    }
+
+    // Swaps the whole log for a compacted version of it
+    async replaceLog(name, entries) {
+        this.logs.set(name, [...entries]);
+    }
+
+    async putBlob(name, id, buffer) {
+        this.blobs.set(`${name}/${id}`, Buffer.from(buffer));
+    }
+
+    // The bytes, or null when there is no such blob
+    async getBlob(name, id) {
+        return this.blobs.get(`${name}/${id}`) || null;
+    }
+
+    async deleteBlob(name, id) {
+        return this.blobs.delete(`${name}/${id}`);
+    }
+}
+
+// JSON file store: each collection is cached in memory and flushed atomically
+class FileStore extends MemoryStore {
+    constructor(directory) {
+        super();
+        this.directory = directory;
+        this.loaded = new Set();
+        this.writes = new Map();
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    filePath(name) {
+        return path.join(this.directory, `${name}.json`);
+    }
+
+    logPath(name) {
+        return path.join(this.directory, `${name}.jsonl`);
+    }
+
+    blobPath(name, id) {
+        if (!/^[\w-]+$/.test(id)) {
+            throw new Error(`Invalid blob id: ${id}`);
+        }
+        return path.join(this.directory, name, id);
+    }
+
+    collection(name) {
+        const records = super.collection(name);
+
+        if (!this.loaded.has(name)) {
+            this.loaded.add(name);
+            const file = this.filePath(name);
+            if (fs.existsSync(file)) {
+                const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+                for (const record of data) {
+                    records.set(record.id, record);
+                }
+            }
+        }
+
+        return records;
+    }
+
+    // Serialize writes per file so a slow write never overwrites a newer one
+    enqueue(file, write) {
+        const previous = this.writes.get(file) || Promise.resolve();
+        const next = previous.then(write);
+
+        this.writes.set(file, next.catch(() => {}));
+        return next;
+    }
+
+    async writeAtomic(file, data) {
+        const tempFile = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempFile, data, { mode: 0o600 });
+        await fs.promises.rename(tempFile, file);
+    }
+
+    flush(name) {
+        const file = this.filePath(name);
+        return this.enqueue(file, () => this.writeAtomic(file, JSON.stringify(Array.from(this.collection(name).values()), null, 2)));
+    }
+
+    async put(name, record) {
+        await super.put(name, record);
+        await this.flush(name);
+        return record;
+    }
+
+    async delete(name, id) {
+        const existed = await super.delete(name, id);
+        if (existed) {
+            await this.flush(name);
+        }
+        return existed;
+    }
+
+    async deleteMany(name, ids) {
+        const removed = await super.deleteMany(name, ids);
+        if (removed > 0) {
+            await this.flush(name);
+        }
+        return removed;
+    }
+
+    async append(name, entries) {
+        const file = this.logPath(name);
+        const lines = [].concat(entries).map(entry => `${JSON.stringify(entry)}\n`).join('');
+        await this.enqueue(file, () => fs.promises.appendFile(file, lines, { mode: 0o600 }));
+    }
+
+    // Read line by line so a long log never has to fit in one string; a line torn by a
+    // crash mid-append is skipped
+    async readLog(name) {
+        const file = this.logPath(name);
+        await this.writes.get(file);
+        if (!fs.existsSync(file)) {
+            return [];
+        }
+
+        const entries = [];
+        const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`Skipping unreadable line in ${file}`);
+            }
+        }
+        return entries;
+    }
+
+    async replaceLog(name, entries) {
+        const file = this.logPath(name);
+        await this.enqueue(file, () => this.writeAtomic(file, entries.map(entry => `${JSON.stringify(entry)}\n`).join('')));
+    }
+
+    async putBlob(name, id, buffer) {
+        const file = this.blobPath(name, id);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await this.writeAtomic(file, buffer);
+    }
+
+    async getBlob(name, id) {
+        try {
+            return await fs.promises.readFile(this.blobPath(name, id));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async deleteBlob(name, id) {
+        try {
+            await fs.promises.unlink(this.blobPath(name, id));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+function createStore(driver = process.env.STORAGE_DRIVER || 'file') {
+    switch (driver) {
+        case 'file':
+            return new FileStore(path.resolve(__dirname, '..', process.env.DATA_DIRECTORY || 'data'));
+        case 'memory':
+            return new MemoryStore();
+        default:
+            throw new Error(`Unsupported storage driver: ${driver}`);
+    }
+}
+
+module.exports = { MemoryStore, FileStore, createStore };
@@ -0,0 +1,308 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - COLLABORATION STRATEGIES
+ * How agents take turns inside a collaboration. Every strategy drives the same
+ * run context, so all of them produce the same collaboration record:
+ *   run.turn(agentId, message, { iteration, step }) - one agent call; resolves with
+ *       the conversation entry, or null when the agent failed or was skipped
+ *   run.finishIteration(iteration)                  - marks the end of a round and checks
+ *       the stopping conditions (see termination.js)
+ *   run.agent(agentId)                              - the agent's configuration (id, name and
+ *       role as of the start if it was deleted since)
+ * Both throw CollaborationStopped when the run must end (budget, goal reached,
+ * stagnation, cancellation); run.turn also waits while the collaboration is paused
+ * Roles follow the order of agentIds: the judge and synthesizer are the last agent,
+ * the author and supervisor the first
+ */
+
+// Thrown to end a collaboration early; reason becomes the record's stopReason
+class CollaborationStopped extends Error {
+    constructor(reason, detail = null, progress = {}, status = 'completed') {
+        super(`Collaboration stopped: ${reason}`);
+        this.name = 'CollaborationStopped';
+        this.reason = reason;
+        this.detail = detail;
+        this.progress = progress;
+        this.status = status;
+    }
+}
+
+// Cancel and pause state for one running collaboration. Pausing takes effect
+// between turns; cancelling also aborts the provider call in flight via signal
+class CollaborationControl {
+    constructor() {
+        this.controller = new AbortController();
+        this.paused = false;
+        this.pausedAt = null;
+        this.pausedMs = 0;
+        this.cancelledBy = null;
+        this.waiters = [];
+    }
+
+    get signal() {
+        return this.controller.signal;
+    }
+
+    get cancelled() {
+        return this.signal.aborted;
+    }
+
+    cancel(by = null) {
+        if (this.cancelled) {
+            return false;
+        }
+        this.cancelledBy = by;
+        this.controller.abort(new Error('Collaboration cancelled'));
+        this.release();
+        return true;
+    }
+
+    pause() {
+        if (this.paused || this.cancelled) {
+            return false;
+        }
+        this.paused = true;
+        this.pausedAt = Date.now();
+        return true;
+    }
+
+    resume() {
+        if (!this.paused) {
+            return false;
+        }
+        this.paused = false;
+        this.pausedMs += Date.now() - this.pausedAt;
+        this.pausedAt = null;
+        this.release();
+        return true;
+    }
+
+    release() {
+        this.waiters.forEach(resolve => resolve());
+        this.waiters = [];
+    }
+
+    // Resolves right away unless paused, otherwise once resumed or cancelled
+    waitWhilePaused() {
+        if (!this.paused || this.cancelled) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.waiters.push(resolve));
+    }
+
+    // Elapsed time since started, not counting pauses (for duration budgets)
+    activeTime(started) {
+        const pausedNow = this.pausedAt ? Date.now() - this.pausedAt : 0;
+        return Date.now() - started - this.pausedMs - pausedNow;
+    }
+}
+
+function transcript(entries) {
+    return entries
+        .filter(entry => entry && entry.response)
+        .map(entry => `${entry.agent.name}: ${entry.response}`)
+        .join('\n\n');
+}
+
+// Runs turns side by side but lets every one settle before surfacing a stop or failure
+async function parallel(calls) {
+    const results = await Promise.allSettled(calls);
+    const rejected = results.find(result => result.status === 'rejected');
+    if (rejected) {
+        throw rejected.reason;
+    }
+    return results.map(result => result.value);
+}
+
+// Each agent in turn builds on the previous round of responses
+const roundRobin = {
+    label: 'Round-robin',
+    minAgents: 1,
+    plannedTurns: (agents, iterations) => agents * iterations,
+
+    async run(run) {
+        const { goal, agentIds, iterations } = run;
+        let message = `Goal: ${goal}\n\nLet's work together to achieve this goal. Please provide your initial thoughts and approach.`;
+        const responses = [];
+
+        for (let iteration = 1; iteration <= iterations; iteration++) {
+            for (const agentId of agentIds) {
+                const entry = await run.turn(agentId, message, { iteration, step: 'contribution' });
+                if (entry) {
+                    responses.push(entry);
+                    // Next message includes the latest response from each agent
+                    message = `Previous responses:\n${transcript(responses.slice(-agentIds.length))}\n\nPlease build upon these ideas and continue working toward our goal.`;
+                }
+            }
+            await run.finishIteration(iteration);
+        }
+    }
+};
+
+// Debaters argue for several rounds, then the last agent judges
+const debate = {
+    label: 'Debate with judge',
+    minAgents: 3,
+    plannedTurns: (agents, iterations) => (agents - 1) * iterations + 1,
+
+    async run(run) {
+        const { goal, agentIds, iterations } = run;
+        const debaters = agentIds.slice(0, -1);
+        const judge = agentIds[agentIds.length - 1];
+        const positions = [];
+
+        for (let iteration = 1; iteration <= iterations; iteration++) {
+            const previousRound = positions.slice(-debaters.length);
+            for (const agentId of debaters) {
+                const message = iteration === 1
+                    ? `Debate topic: ${goal}\n\nState your position and your strongest arguments for it.`
+                    : `Debate topic: ${goal}\n\nArguments from the last round:\n${transcript(previousRound)}\n\nRebut the opposing arguments and strengthen your own position.`;
+                const entry = await run.turn(agentId, message, { iteration, step: 'argument' });
+                if (entry) {
+                    positions.push(entry);
+                }
+            }
+            await run.finishIteration(iteration);
+        }
+
+        await run.turn(
+            judge,
+            `You are judging a debate on: ${goal}\n\nFull debate:\n${transcript(positions)}\n\nWeigh the arguments, declare which position is strongest and explain your verdict.`,
+            { iteration: iterations, step: 'verdict' }
+        );
+    }
+};
+
+// The first agent drafts; everyone else critiques and the author revises each round
+const authorCritic = {
+    label: 'Author and critics',
+    minAgents: 2,
+    plannedTurns: (agents, iterations) => 1 + agents * iterations,
+
+    async run(run) {
+        const { goal, agentIds, iterations } = run;
+        const [author, ...critics] = agentIds;
+
+        let draft = await run.turn(author, `Goal: ${goal}\n\nWrite a complete first draft that achieves this goal.`, { iteration: 1, step: 'draft' });
+
+        for (let iteration = 1; iteration <= iterations; iteration++) {
+            if (!draft) {
+                break;
+            }
+
+            const critiques = [];
+            for (const agentId of critics) {
+                const entry = await run.turn(
+                    agentId,
+                    `Goal: ${goal}\n\nCurrent draft by ${draft.agent.name}:\n${draft.response}\n\nCritique this draft: list concrete problems and specific improvements.`,
+                    { iteration, step: 'critique' }
+                );
+                critiques.push(entry);
+            }
+
+            const revision = await run.turn(
+                author,
+                `Goal: ${goal}\n\nYour current draft:\n${draft.response}\n\nCritiques:\n${transcript(critiques)}\n\nRevise the draft to address the critiques. Reply with the full revised version.`,
+                { iteration, step: 'revision' }
+            );
+            draft = revision || draft;
+            await run.finishIteration(iteration);
+        }
+    }
+};
+
+// All but the last agent answer independently in parallel; the last agent synthesizes
+const fanOut = {
+    label: 'Parallel fan-out and synthesis',
+    minAgents: 2,
+    plannedTurns: (agents, iterations) => agents * iterations,
+
+    async run(run) {
+        const { goal, agentIds, iterations } = run;
+        const workers = agentIds.slice(0, -1);
+        const synthesizer = agentIds[agentIds.length - 1];
+        let synthesis = null;
+
+        for (let iteration = 1; iteration <= iterations; iteration++) {
+            const message = synthesis
+                ? `Goal: ${goal}\n\nCurrent synthesis:\n${synthesis.response}\n\nImprove on it independently: add what is missing and correct what is wrong.`
+                : `Goal: ${goal}\n\nWork on this goal independently and give your best complete answer.`;
+            const proposals = await parallel(workers.map(agentId => run.turn(agentId, message, { iteration, step: 'proposal' })));
+
+            synthesis = await run.turn(
+                synthesizer,
+                `Goal: ${goal}\n\nIndependent proposals:\n${transcript(proposals)}\n\nSynthesize these into a single answer that keeps the best ideas from each.`,
+                { iteration, step: 'synthesis' }
+            ) || synthesis;
+            await run.finishIteration(iteration);
+        }
+    }
+};
+
+// Finds "Name: task" lines in a plan for each worker; unassigned workers review the whole plan
+function delegatedTasks(plan, workers) {
+    const lines = plan.split('\n').map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])?\s*/, '').replace(/\*\*/g, ''));
+    return workers.map(({ id, name }) => {
+        const prefix = `${name.toLowerCase()}:`;
+        const line = lines.find(candidate => candidate.toLowerCase().startsWith(prefix));
+        return { agentId: id, task: line ? line.slice(prefix.length).trim() : null };
+    });
+}
+
+// The first agent plans and delegates sub-tasks, then integrates the results
+const supervisor = {
+    label: 'Supervisor delegation',
+    minAgents: 2,
+    plannedTurns: (agents, iterations) => (agents + 1) * iterations,
+
+    async run(run) {
+        const { goal, agentIds, iterations } = run;
+        const [lead, ...workerIds] = agentIds;
+        const workers = workerIds.map(id => ({ id, name: run.agent(id).name, role: run.agent(id).role }));
+        const team = workers.map(worker => `- ${worker.name} (${worker.role})`).join('\n');
+        let summary = null;
+
+        for (let iteration = 1; iteration <= iterations; iteration++) {
+            const plan = await run.turn(
+                lead,
+                `Goal: ${goal}\n\n${summary ? `Progress so far:\n${summary.response}\n\n` : ''}Your team:\n${team}\n\nBreak the remaining work into sub-tasks and assign one to each team member, one per line as "Name: task".`,
+                { iteration, step: 'plan' }
+            );
+            if (!plan) {
+                break;
+            }
+
+            const assignments = delegatedTasks(plan.response, workers);
+            const results = await parallel(assignments.map(({ agentId, task }) => run.turn(
+                agentId,
+                task
+                    ? `Overall goal: ${goal}\n\nYour sub-task from ${plan.agent.name}: ${task}\n\nComplete this sub-task and report your result.`
+                    : `Overall goal: ${goal}\n\nPlan from ${plan.agent.name}:\n${plan.response}\n\nContribute the part of this plan that best fits your expertise.`,
+                { iteration, step: 'subtask' }
+            )));
+
+            summary = await run.turn(
+                lead,
+                `Goal: ${goal}\n\nSub-task results:\n${transcript(results)}\n\nIntegrate these results into a consolidated answer and note anything still missing.`,
+                { iteration, step: 'summary' }
+            ) || summary;
+            await run.finishIteration(iteration);
+        }
+    }
+};
+
+const STRATEGIES = {
+    round_robin: roundRobin,
+    debate,
+    author_critic: authorCritic,
+    fan_out: fanOut,
+    supervisor
+};
+
+function getStrategy(name = 'round_robin') {
+    if (!Object.prototype.hasOwnProperty.call(STRATEGIES, name)) {
+        throw new Error(`Unknown collaboration strategy: ${name} (use ${Object.keys(STRATEGIES).join(', ')})`);
+    }
+    return STRATEGIES[name];
+}
+
+module.exports = { STRATEGIES, CollaborationStopped, CollaborationControl, getStrategy, transcript, delegatedTasks };
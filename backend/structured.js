@@ -0,0 +1,232 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - STRUCTURED OUTPUT
+ * Agents (or single execute calls) may declare an outputSchema (JSON Schema). The
+ * reply is then parsed and validated; invalid replies are sent back to the model
+ * with the problems listed, up to JSON_REPAIR_ATTEMPTS times (default 2)
+ * Supported keywords: type, enum, const, properties, required, additionalProperties,
+ * items, minItems, maxItems, minLength, maxLength, minimum, maximum,
+ * exclusiveMinimum, exclusiveMaximum, anyOf, oneOf, allOf
+ * pattern is rejected: a caller-supplied regular expression run against model output
+ * could backtrack for minutes and stall every request on the server
+ */
+
+const MAX_SCHEMA_LENGTH = 20000;
+
+// details lists the remaining schema problems, response is the model's last reply
+class StructuredOutputError extends Error {
+    constructor(message, details = [], response = null) {
+        super(message);
+        this.name = 'StructuredOutputError';
+        this.status = 422;
+        this.code = 'INVALID_STRUCTURED_OUTPUT';
+        this.details = details;
+        this.response = response;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Path of the first subschema that uses pattern, or null
+function findPattern(schema, at = '$') {
+    if (!isPlainObject(schema)) {
+        return null;
+    }
+    if (schema.pattern !== undefined) {
+        return at;
+    }
+    const children = [
+        ...Object.entries(isPlainObject(schema.properties) ? schema.properties : {}).map(([key, child]) => [child, `${at}.${key}`]),
+        [schema.items, `${at}[]`],
+        [schema.additionalProperties, `${at}.*`],
+        ...['allOf', 'anyOf', 'oneOf'].flatMap(keyword => (Array.isArray(schema[keyword]) ? schema[keyword] : [])
+            .map((child, index) => [child, `${at}.${keyword}[${index}]`]))
+    ];
+    for (const [child, path] of children) {
+        const found = findPattern(child, path);
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+}
+
+function normalizeOutputSchema(schema) {
+    if (!isPlainObject(schema)) {
+        throw new Error('outputSchema must be a JSON Schema object');
+    }
+    if (JSON.stringify(schema).length > MAX_SCHEMA_LENGTH) {
+        throw new Error(`outputSchema must be at most ${MAX_SCHEMA_LENGTH} characters of JSON`);
+    }
+    const patternAt = findPattern(schema);
+    if (patternAt) {
+        throw new Error(`outputSchema does not support pattern (found at ${patternAt}); use enum, minLength or maxLength instead`);
+    }
+    return schema;
+}
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Returns a list of "path: problem" strings; empty when the value conforms
+function validateSchema(value, schema, at = '$') {
+    if (!isPlainObject(schema)) {
+        return [];
+    }
+    const errors = [];
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return [`${at}: must be ${types.join(' or ')}, got ${typeOf(value)}`];
+        }
+    }
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${at}: must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${at}: must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${at}: must be <= ${schema.maximum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push(`${at}: must be > ${schema.exclusiveMinimum}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            errors.push(`${at}: must be < ${schema.exclusiveMaximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${at}: must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${at}: must have at most ${schema.maxItems} items`);
+        }
+        if (isPlainObject(schema.items)) {
+            value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${at}[${index}]`)));
+        }
+    }
+
+    if (isPlainObject(value)) {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${at}.${key}: is required`);
+            }
+        }
+        for (const [key, child] of Object.entries(value)) {
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                errors.push(...validateSchema(child, properties[key], `${at}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}.${key}: is not allowed`);
+            } else if (isPlainObject(schema.additionalProperties)) {
+                errors.push(...validateSchema(child, schema.additionalProperties, `${at}.${key}`));
+            }
+        }
+    }
+
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach(part => errors.push(...validateSchema(value, part, at)));
+    }
+    if (Array.isArray(schema.anyOf) && !schema.anyOf.some(part => validateSchema(value, part, at).length === 0)) {
+        errors.push(`${at}: must match at least one of the anyOf schemas`);
+    }
+    if (Array.isArray(schema.oneOf) && schema.oneOf.filter(part => validateSchema(value, part, at).length === 0).length !== 1) {
+        errors.push(`${at}: must match exactly one of the oneOf schemas`);
+    }
+
+    return errors;
+}
+
+// Models often wrap JSON in a code fence or a sentence; take the outermost JSON value
+function extractJson(text) {
+    const source = String(text || '').trim();
+    const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(source);
+    const candidates = [source, fenced && fenced[1].trim()];
+    const start = source.search(/[[{]/);
+    const end = Math.max(source.lastIndexOf('}'), source.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+        candidates.push(source.slice(start, end + 1));
+    }
+
+    for (const candidate of candidates.filter(Boolean)) {
+        try {
+            return { ok: true, value: JSON.parse(candidate) };
+        } catch (error) {
+            // Try the next candidate
+        }
+    }
+    return { ok: false, error: 'The reply is not valid JSON' };
+}
+
+// { valid, value, errors } for a model reply checked against the schema
+function checkOutput(text, schema) {
+    const parsed = extractJson(text);
+    if (!parsed.ok) {
+        return { valid: false, value: null, errors: [parsed.error] };
+    }
+    const errors = validateSchema(parsed.value, schema);
+    return { valid: errors.length === 0, value: parsed.value, errors };
+}
+
+function schemaInstruction(schema) {
+    return {
+        role: 'system',
+        content: `Reply with only a JSON value (no prose, no code fences) that conforms to this JSON Schema:\n${JSON.stringify(schema)}`
+    };
+}
+
+function repairPrompt(errors) {
+    return `Your previous reply did not conform to the required JSON Schema:\n${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}\n\n` +
+        'Reply again with only the corrected JSON value.';
+}
+
+// Provider-facing name for the schema, e.g. for OpenAI json_schema or an Anthropic tool
+function schemaName(schema) {
+    return String(schema.title || 'response').replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64) || 'response';
+}
+
+module.exports = {
+    StructuredOutputError,
+    normalizeOutputSchema,
+    validateSchema,
+    extractJson,
+    checkOutput,
+    schemaInstruction,
+    repairPrompt,
+    schemaName,
+    MAX_SCHEMA_LENGTH
+};
@@ -0,0 +1,229 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - PROMPT TEMPLATES
+ * Reusable agent instructions with {{variable}} placeholders. Every change to a
+ * template's body is kept as a numbered version, and any two versions can be diffed
+ * line by line. Agents reference a template as { id, version, variables }: with no
+ * version they follow the latest one, so a template update rolls out to them
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z_][\w.-]*)\s*\}\}/g;
+
+class TemplateError extends Error {
+    constructor(message, status = 400, code = 'INVALID_TEMPLATE') {
+        super(message);
+        this.name = 'TemplateError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Placeholder names in order of first appearance
+function variablesOf(body) {
+    return [...new Set(Array.from(String(body).matchAll(PLACEHOLDER), match => match[1]))];
+}
+
+// Fills every placeholder; a missing value is an error rather than a silent gap in the prompt
+function renderTemplate(body, variables = {}) {
+    const has = name => Object.prototype.hasOwnProperty.call(variables, name) && variables[name] !== null;
+    const missing = variablesOf(body).filter(name => !has(name));
+    if (missing.length > 0) {
+        throw new TemplateError(`Missing template variables: ${missing.join(', ')}`, 400, 'MISSING_VARIABLES');
+    }
+    return String(body).replace(PLACEHOLDER, (match, name) => String(variables[name]));
+}
+
+// Longest-common-subsequence tables grow with the product of the line counts; past this
+// many cells the changed lines are listed as removed and then added instead
+const MAX_DIFF_CELLS = 4000000;
+
+// Line diff; returns every line tagged ' ', '-' or '+'. The unchanged head and tail are
+// matched first so only the changed middle needs the LCS table
+function diffLines(before, after) {
+    const a = String(before).split('\n');
+    const b = String(after).split('\n');
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let end = 0;
+    while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) {
+        end++;
+    }
+
+    const same = text => ({ op: ' ', text });
+    return [
+        ...a.slice(0, start).map(same),
+        ...diffMiddle(a.slice(start, a.length - end), b.slice(start, b.length - end)),
+        ...a.slice(a.length - end).map(same)
+    ];
+}
+
+function diffMiddle(a, b) {
+    if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+        return [...a.map(text => ({ op: '-', text })), ...b.map(text => ({ op: '+', text }))];
+    }
+
+    const common = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            lines.push({ op: ' ', text: a[i++] });
+            j++;
+        } else if (i < a.length && (j === b.length || common[i + 1][j] >= common[i][j + 1])) {
+            lines.push({ op: '-', text: a[i++] });
+        } else {
+            lines.push({ op: '+', text: b[j++] });
+        }
+    }
+    return lines;
+}
+
+class TemplateLibrary {
+    constructor(store) {
+        this.store = store;
+        this.templates = new Map();
+    }
+
+    async load() {
+        for (const template of await this.store.list('templates')) {
+            this.templates.set(template.id, template);
+        }
+    }
+
+    persist(template) {
+        this.store.put('templates', template).catch((error) => {
+            console.error(`Failed to persist template ${template.id}:`, error);
+        });
+    }
+
+    create({ workspaceId = null, createdBy = null, name, description = '', body }) {
+        const now = Date.now();
+        const template = {
+            id: uuidv4(),
+            workspaceId,
+            createdBy,
+            name: String(name),
+            description: String(description || ''),
+            versions: [{ version: 1, body: String(body), note: 'Created', createdBy, created: now }],
+            created: now,
+            updated: now
+        };
+        this.templates.set(template.id, template);
+        this.persist(template);
+        return template;
+    }
+
+    get(templateId) {
+        const template = this.templates.get(templateId);
+        if (!template) {
+            throw new TemplateError('Template not found', 404, 'NOT_FOUND');
+        }
+        return template;
+    }
+
+    latest(template) {
+        return template.versions[template.versions.length - 1];
+    }
+
+    version(template, number = null) {
+        if (number === null || number === undefined) {
+            return this.latest(template);
+        }
+        const version = template.versions.find(entry => entry.version === number);
+        if (!version) {
+            throw new TemplateError(`Template ${template.name} has no version ${number}`, 404, 'NOT_FOUND');
+        }
+        return version;
+    }
+
+    // Name and description change in place; a new body becomes the next version
+    update(templateId, { name, description, body, note, updatedBy = null } = {}) {
+        const template = this.get(templateId);
+        if (name !== undefined) {
+            template.name = String(name);
+        }
+        if (description !== undefined) {
+            template.description = String(description || '');
+        }
+
+        let created = null;
+        if (body !== undefined && String(body) !== this.latest(template).body) {
+            created = {
+                version: this.latest(template).version + 1,
+                body: String(body),
+                note: note ? String(note) : '',
+                createdBy: updatedBy,
+                created: Date.now()
+            };
+            template.versions.push(created);
+        }
+
+        template.updated = Date.now();
+        this.persist(template);
+        return { template, version: created };
+    }
+
+    delete(templateId) {
+        const template = this.get(templateId);
+        this.templates.delete(templateId);
+        this.store.delete('templates', templateId).catch((error) => {
+            console.error(`Failed to delete template ${templateId}:`, error);
+        });
+        return template;
+    }
+
+    list(workspaceId) {
+        return Array.from(this.templates.values())
+            .filter(template => template.workspaceId === workspaceId)
+            .sort((a, b) => b.updated - a.updated)
+            .map(template => this.summary(template));
+    }
+
+    summary(template) {
+        const latest = this.latest(template);
+        return {
+            id: template.id,
+            workspaceId: template.workspaceId,
+            name: template.name,
+            description: template.description,
+            version: latest.version,
+            variables: variablesOf(latest.body),
+            created: template.created,
+            updated: template.updated
+        };
+    }
+
+    render(templateId, variables = {}, number = null) {
+        const template = this.get(templateId);
+        const version = this.version(template, number);
+        return { template, version: version.version, text: renderTemplate(version.body, variables) };
+    }
+
+    // Defaults to the latest version against the one before it
+    diff(templateId, from, to) {
+        const template = this.get(templateId);
+        const after = this.version(template, to ?? null);
+        const before = this.version(template, from ?? Math.max(1, after.version - 1));
+        const lines = diffLines(before.body, after.body);
+        return {
+            from: before.version,
+            to: after.version,
+            added: lines.filter(line => line.op === '+').length,
+            removed: lines.filter(line => line.op === '-').length,
+            lines,
+            unified: lines.map(line => `${line.op}${line.text}`).join('\n')
+        };
+    }
+}
+
+module.exports = { TemplateLibrary, TemplateError, renderTemplate, variablesOf, diffLines };
@@ -0,0 +1,120 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - COLLABORATION STOPPING CONDITIONS
+ * Optional ways for a collaboration to finish before its last round:
+ *   sentinel   - an agent ends its reply with a completion marker (default GOAL_COMPLETE)
+ *   judge      - a judge agent scores the goal 0-10 after each round; stop at the threshold
+ *   stagnation - each agent keeps repeating itself (word overlap with its earlier replies)
+ */
+
+const DEFAULT_SENTINEL = 'GOAL_COMPLETE';
+const DEFAULT_JUDGE_THRESHOLD = 8;
+const DEFAULT_STAGNATION = { threshold: 0.85, rounds: 1 };
+
+// { sentinel, judge, stagnation } -> normalized config with null for disabled conditions
+function normalizeTermination(config = {}) {
+    const { sentinel = false, judge = null, stagnation = false } = config || {};
+
+    return {
+        sentinel: sentinel === true ? DEFAULT_SENTINEL : (sentinel || null),
+        judge: judge && judge.agentId
+            ? { agentId: judge.agentId, threshold: judge.threshold ?? DEFAULT_JUDGE_THRESHOLD }
+            : null,
+        stagnation: stagnation
+            ? { ...DEFAULT_STAGNATION, ...(typeof stagnation === 'object' ? stagnation : {}) }
+            : null
+    };
+}
+
+// A system message for the turn, so the request never becomes part of the agent's memory
+function sentinelInstruction(sentinel) {
+    return { role: 'system', content: `If the goal has been fully achieved, end your reply with ${sentinel}.` };
+}
+
+// Only a reply that ends with the marker counts (trailing punctuation and markdown emphasis
+// aside); quoting or discussing it mid-reply does not
+function containsSentinel(text, sentinel) {
+    return String(text || '').replace(/[\s.!*`"')\]]+$/, '').endsWith(sentinel);
+}
+
+function judgePrompt(goal, roundTranscript) {
+    return `Goal: ${goal}\n\nLatest round:\n${roundTranscript}\n\n` +
+        'Score from 0 to 10 how completely the goal has been achieved so far. ' +
+        'Reply with "SCORE: <number>" on the first line, then one sentence explaining the score.';
+}
+
+// Reads "SCORE: 7" (or a leading bare number); null when no score can be found
+function parseScore(text) {
+    const match = /score\s*[:=]?\s*(\d+(?:\.\d+)?)/i.exec(text) || /^\s*(\d+(?:\.\d+)?)\b/.exec(text);
+    if (!match) {
+        return null;
+    }
+    return Math.min(10, Math.max(0, parseFloat(match[1])));
+}
+
+function words(text) {
+    return new Set(String(text || '').toLowerCase().match(/[a-z0-9']{3,}/g) || []);
+}
+
+// Jaccard overlap of the distinct words in two texts, 0 (disjoint) to 1 (same words)
+function similarity(a, b) {
+    const left = words(a);
+    const right = words(b);
+    if (left.size === 0 && right.size === 0) {
+        return 1;
+    }
+
+    let shared = 0;
+    for (const word of left) {
+        if (right.has(word)) {
+            shared++;
+        }
+    }
+    return shared / (left.size + right.size - shared);
+}
+
+// A round is stagnant when every reply closely matches something the same agent already said
+class StagnationDetector {
+    constructor({ threshold, rounds }) {
+        this.threshold = threshold;
+        this.rounds = rounds;
+        this.history = new Map();
+        this.stagnantRounds = 0;
+    }
+
+    // entries: the round's successful conversation entries; returns detail once stagnation is confirmed
+    observe(entries) {
+        let lowest = 1;
+        let compared = 0;
+
+        for (const entry of entries) {
+            const previous = this.history.get(entry.agent.id) || [];
+            if (previous.length > 0) {
+                lowest = Math.min(lowest, Math.max(...previous.map(response => similarity(entry.response, response))));
+                compared++;
+            }
+            this.history.set(entry.agent.id, [...previous, entry.response]);
+        }
+
+        if (compared === 0 || compared < entries.length || lowest < this.threshold) {
+            this.stagnantRounds = 0;
+            return null;
+        }
+
+        this.stagnantRounds++;
+        if (this.stagnantRounds < this.rounds) {
+            return null;
+        }
+        return { similarity: Number(lowest.toFixed(3)), threshold: this.threshold, rounds: this.stagnantRounds };
+    }
+}
+
+module.exports = {
+    DEFAULT_SENTINEL,
+    normalizeTermination,
+    sentinelInstruction,
+    containsSentinel,
+    judgePrompt,
+    parseScore,
+    similarity,
+    StagnationDetector
+};
@@ -0,0 +1,340 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - AGENT TOOLS
+ * Functions an agent may call mid-answer. Agents list the tools they are allowed
+ * to use; providers see each one as { name, description, parameters } where
+ * parameters is a JSON Schema object. Built-ins:
+ *   calculator - arithmetic expressions (no eval)
+ *   clock      - current date and time, optionally in a time zone
+ *   list_files / read_file - read-only access below TOOL_FILES_DIRECTORY (off when unset)
+ * HTTP tools come from TOOLS_HTTP (JSON array of { name, description, url, method, headers, parameters });
+ * they send the arguments to the URL and return the response body
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_RESULT_LENGTH = 16000;
+const MAX_FILE_BYTES = 64 * 1024;
+const TOOL_NAME = /^[a-zA-Z0-9_-]{1,64}$/;
+
+class ToolError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ToolError';
+    }
+}
+
+// Recursive-descent evaluator for + - * / % ^, parentheses and a few functions
+function evaluateExpression(expression) {
+    const FUNCTIONS = { sqrt: Math.sqrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil, log: Math.log10, ln: Math.log, sin: Math.sin, cos: Math.cos, tan: Math.tan, min: Math.min, max: Math.max };
+    const CONSTANTS = { pi: Math.PI, e: Math.E };
+    const tokens = String(expression).match(/\d*\.?\d+(?:e[+-]?\d+)?|[a-z]+|[-+*/%^(),]|\S/gi) || [];
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const take = (expected) => {
+        const token = tokens[position++];
+        if (expected && token !== expected) {
+            throw new ToolError(`Expected "${expected}" but found ${token ? `"${token}"` : 'the end of the expression'}`);
+        }
+        return token;
+    };
+
+    function primary() {
+        const token = take();
+        if (token === undefined) {
+            throw new ToolError('Unexpected end of expression');
+        }
+        if (/^\d*\.?\d+(?:e[+-]?\d+)?$/i.test(token)) {
+            return parseFloat(token);
+        }
+        if (token === '(') {
+            const value = sum();
+            take(')');
+            return value;
+        }
+        if (token === '-' || token === '+') {
+            const value = power();
+            return token === '-' ? -value : value;
+        }
+        const name = token.toLowerCase();
+        if (Object.prototype.hasOwnProperty.call(CONSTANTS, name)) {
+            return CONSTANTS[name];
+        }
+        if (Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) {
+            take('(');
+            const args = [sum()];
+            while (peek() === ',') {
+                take();
+                args.push(sum());
+            }
+            take(')');
+            return FUNCTIONS[name](...args);
+        }
+        throw new ToolError(`Unknown token "${token}"`);
+    }
+
+    function power() {
+        const base = primary();
+        if (peek() === '^') {
+            take();
+            return base ** power();
+        }
+        return base;
+    }
+
+    function product() {
+        let value = power();
+        while (['*', '/', '%'].includes(peek())) {
+            const operator = take();
+            const right = power();
+            value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+        }
+        return value;
+    }
+
+    function sum() {
+        let value = product();
+        while (['+', '-'].includes(peek())) {
+            value = take() === '+' ? value + product() : value - product();
+        }
+        return value;
+    }
+
+    const result = sum();
+    if (position < tokens.length) {
+        throw new ToolError(`Unexpected "${tokens[position]}"`);
+    }
+    if (!Number.isFinite(result)) {
+        throw new ToolError('The result is not a finite number');
+    }
+    return result;
+}
+
+const calculator = {
+    name: 'calculator',
+    description: 'Evaluates an arithmetic expression. Supports + - * / % ^, parentheses, pi, e and sqrt, abs, round, floor, ceil, log, ln, sin, cos, tan, min, max.',
+    parameters: {
+        type: 'object',
+        properties: { expression: { type: 'string', description: 'For example "(2 + 3) * sqrt(16)"' } },
+        required: ['expression']
+    },
+    async run({ expression }) {
+        return String(evaluateExpression(expression));
+    }
+};
+
+const clock = {
+    name: 'clock',
+    description: 'Returns the current date and time, in UTC or in the given IANA time zone.',
+    parameters: {
+        type: 'object',
+        properties: { timeZone: { type: 'string', description: 'For example "Europe/Paris"; defaults to UTC' } }
+    },
+    async run({ timeZone = 'UTC' }) {
+        const now = new Date();
+        try {
+            const local = now.toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'long' });
+            return JSON.stringify({ iso: now.toISOString(), timeZone, local });
+        } catch (error) {
+            throw new ToolError(`Unknown time zone: ${timeZone}`);
+        }
+    }
+};
+
+// Resolves a relative path inside root, refusing anything (including symlinks) that escapes it
+function sandboxedPath(root, relativePath = '.') {
+    const resolved = path.resolve(root, String(relativePath));
+    let real;
+    try {
+        real = fs.realpathSync(resolved);
+    } catch (error) {
+        throw new ToolError(`No such file or directory: ${relativePath}`);
+    }
+    const realRoot = fs.realpathSync(root);
+    if (real !== realRoot && !real.startsWith(realRoot + path.sep)) {
+        throw new ToolError('Access outside the shared files directory is not allowed');
+    }
+    return real;
+}
+
+function fileTools(root) {
+    return [
+        {
+            name: 'list_files',
+            description: 'Lists the files in a directory of the shared read-only files area.',
+            parameters: {
+                type: 'object',
+                properties: { path: { type: 'string', description: 'Directory relative to the shared area; defaults to its root' } }
+            },
+            async run({ path: directory = '.' }) {
+                const target = sandboxedPath(root, directory);
+                if (!fs.statSync(target).isDirectory()) {
+                    throw new ToolError(`Not a directory: ${directory}`);
+                }
+                return fs.readdirSync(target, { withFileTypes: true })
+                    .map(entry => (entry.isDirectory() ? `${entry.name}/` : entry.name))
+                    .join('\n') || '(empty)';
+            }
+        },
+        {
+            name: 'read_file',
+            description: `Reads a text file (up to ${MAX_FILE_BYTES / 1024} KB) from the shared read-only files area.`,
+            parameters: {
+                type: 'object',
+                properties: { path: { type: 'string', description: 'File path relative to the shared area' } },
+                required: ['path']
+            },
+            async run({ path: file }) {
+                const target = sandboxedPath(root, file);
+                const stats = fs.statSync(target);
+                if (!stats.isFile()) {
+                    throw new ToolError(`Not a file: ${file}`);
+                }
+                const handle = fs.openSync(target, 'r');
+                try {
+                    const buffer = Buffer.alloc(Math.min(stats.size, MAX_FILE_BYTES));
+                    fs.readSync(handle, buffer, 0, buffer.length, 0);
+                    const truncated = stats.size > MAX_FILE_BYTES ? `\n[truncated: ${stats.size} bytes total]` : '';
+                    return buffer.toString('utf8') + truncated;
+                } finally {
+                    fs.closeSync(handle);
+                }
+            }
+        }
+    ];
+}
+
+// GET sends the arguments as query parameters, other methods as a JSON body
+function createHttpTool({ name, description, url, method = 'POST', headers = {}, parameters, timeout }) {
+    if (!name || !url) {
+        throw new Error('HTTP tools require a name and url');
+    }
+    const requestTimeout = timeout || parseInt(process.env.TOOL_HTTP_TIMEOUT) || 10000;
+
+    return {
+        name,
+        description: description || `Calls ${url}`,
+        parameters: parameters || { type: 'object', properties: {} },
+        async run(args, { signal = null } = {}) {
+            const target = new URL(url);
+            const upperMethod = method.toUpperCase();
+            if (upperMethod === 'GET') {
+                Object.entries(args).forEach(([key, value]) => target.searchParams.set(key, typeof value === 'string' ? value : JSON.stringify(value)));
+            }
+
+            const timeoutSignal = AbortSignal.timeout(requestTimeout);
+            const response = await fetch(target, {
+                method: upperMethod,
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: upperMethod === 'GET' ? undefined : JSON.stringify(args),
+                signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+            });
+            const body = await response.text();
+            if (!response.ok) {
+                throw new ToolError(`HTTP ${response.status} ${response.statusText}: ${body.slice(0, 500)}`);
+            }
+            return body;
+        }
+    };
+}
+
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    register(tool) {
+        if (!TOOL_NAME.test(tool.name || '') || typeof tool.run !== 'function') {
+            throw new Error('Tools need a name of letters, digits, _ or - and a run(args) function');
+        }
+        this.tools.set(tool.name, tool);
+        return tool;
+    }
+
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    get(name) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+        return tool;
+    }
+
+    list() {
+        return Array.from(this.tools.values()).map(({ name, description, parameters }) => ({ name, description, parameters }));
+    }
+
+    // Provider-neutral definitions for the allowed tools
+    definitions(names = []) {
+        return names.filter(name => this.has(name)).map((name) => {
+            const { description, parameters } = this.get(name);
+            return { name, description, parameters };
+        });
+    }
+
+    // Runs one call from the model. Failures come back as text the model can react to,
+    // so a bad argument or a failing endpoint never ends the agent's turn
+    async run(name, rawArguments, { allowed = [], signal = null } = {}) {
+        try {
+            if (!allowed.includes(name) || !this.has(name)) {
+                throw new ToolError(`Tool not available: ${name}`);
+            }
+            let args;
+            try {
+                args = typeof rawArguments === 'string' ? JSON.parse(rawArguments || '{}') : (rawArguments || {});
+            } catch (error) {
+                throw new ToolError('Arguments are not valid JSON');
+            }
+            if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+                throw new ToolError('Arguments must be a JSON object');
+            }
+
+            const tool = this.get(name);
+            const missing = (tool.parameters.required || []).filter(key => args[key] === undefined);
+            if (missing.length > 0) {
+                throw new ToolError(`Missing required argument: ${missing.join(', ')}`);
+            }
+
+            const output = await tool.run(args, { signal });
+            const text = typeof output === 'string' ? output : JSON.stringify(output);
+            return { result: text.length > MAX_RESULT_LENGTH ? `${text.slice(0, MAX_RESULT_LENGTH)}\n[truncated]` : text, error: null };
+        } catch (error) {
+            if (signal && signal.aborted) {
+                throw error;
+            }
+            return { result: `Error: ${error.message}`, error: error.message };
+        }
+    }
+}
+
+function parseHttpTools(value) {
+    if (!value) {
+        return [];
+    }
+    const tools = JSON.parse(value);
+    if (!Array.isArray(tools)) {
+        throw new Error('TOOLS_HTTP must be a JSON array');
+    }
+    return tools.map(createHttpTool);
+}
+
+function createToolRegistry() {
+    const registry = new ToolRegistry();
+    registry.register(calculator);
+    registry.register(clock);
+
+    if (process.env.TOOL_FILES_DIRECTORY) {
+        fileTools(path.resolve(process.env.TOOL_FILES_DIRECTORY)).forEach(tool => registry.register(tool));
+    }
+    for (const tool of parseHttpTools(process.env.TOOLS_HTTP)) {
+        registry.register(tool);
+    }
+
+    return registry;
+}
+
+module.exports = { ToolRegistry, ToolError, createToolRegistry, createHttpTool, evaluateExpression };
@@ -0,0 +1,173 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - USAGE ACCOUNTING
+ * One normalized record per provider call (tokens + estimated cost),
+ * aggregated by agent, collaboration, provider, model and day
+ * Calls are appended to the usage log and kept in memory only as daily rollups
+ * (one per day, agent, collaboration, provider and model); the log is compacted to
+ * those rollups on boot
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { PriceTable } = require('./pricing');
+
+const GROUP_KEYS = {
+    workspace: 'workspaceId',
+    agent: 'agentId',
+    collaboration: 'collaborationId',
+    provider: 'provider',
+    model: 'model',
+    day: 'day'
+};
+
+const ROLLUP_KEYS = ['day', 'workspaceId', 'agentId', 'collaborationId', 'provider', 'model'];
+
+function emptyTotals() {
+    return { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, unpricedCalls: 0 };
+}
+
+// Adds a rollup, or a single call record from before rollups existed
+function addToTotals(totals, record) {
+    const single = record.calls === undefined;
+    totals.calls += single ? 1 : record.calls;
+    totals.inputTokens += record.inputTokens;
+    totals.outputTokens += record.outputTokens;
+    totals.totalTokens += record.totalTokens;
+    totals.cost = Math.round((totals.cost + record.cost) * 1e6) / 1e6;
+    totals.unpricedCalls += single ? (record.priced ? 0 : 1) : record.unpricedCalls;
+    return totals;
+}
+
+function rollupKey(record) {
+    return ROLLUP_KEYS.map(key => record[key] ?? '').join('\u0000');
+}
+
+class UsageTracker {
+    constructor(store, prices = new PriceTable()) {
+        this.store = store;
+        this.prices = prices;
+        this.rollups = new Map();
+    }
+
+    // Folds the log (and records kept in the usage collection by earlier versions) into
+    // rollups, then rewrites the log as just those rollups
+    async load() {
+        const entries = await this.store.readLog('usage');
+        const legacy = await this.store.list('usage');
+        this.rollups.clear();
+        [...legacy, ...entries].forEach(entry => this.add(entry));
+
+        if (legacy.length > 0 || entries.length > this.rollups.size) {
+            await this.compact();
+            await this.store.deleteMany('usage', legacy.map(record => record.id));
+        }
+    }
+
+    async compact() {
+        await this.store.replaceLog('usage', Array.from(this.rollups.values()));
+    }
+
+    add(record) {
+        const key = rollupKey(record);
+        if (!this.rollups.has(key)) {
+            this.rollups.set(key, { ...Object.fromEntries(ROLLUP_KEYS.map(name => [name, record[name] ?? null])), ...emptyTotals() });
+        }
+        addToTotals(this.rollups.get(key), record);
+    }
+
+    // Usage recorded before workspaces existed moves to the given workspace
+    adopt(workspaceId) {
+        const orphans = Array.from(this.rollups.values()).filter(rollup => !rollup.workspaceId);
+        if (orphans.length === 0) {
+            return;
+        }
+        for (const rollup of orphans) {
+            this.rollups.delete(rollupKey(rollup));
+            this.add({ ...rollup, workspaceId });
+        }
+        this.compact().catch((error) => {
+            console.error('Failed to persist usage rollups:', error);
+        });
+    }
+
+    // OpenAI reports prompt/completion tokens, Anthropic input/output tokens
+    normalize(model, usage = {}) {
+        const raw = usage || {};
+        const inputTokens = (raw.prompt_tokens ?? raw.input_tokens ?? 0) +
+            (raw.cache_creation_input_tokens || 0) + (raw.cache_read_input_tokens || 0);
+        const outputTokens = raw.completion_tokens ?? raw.output_tokens ?? 0;
+
+        return {
+            inputTokens,
+            outputTokens,
+            totalTokens: inputTokens + outputTokens,
+            ...this.prices.cost(model, inputTokens, outputTokens)
+        };
+    }
+
+    record({ workspaceId = null, agentId, collaborationId = null, provider, model, usage }) {
+        const timestamp = Date.now();
+        const record = {
+            id: uuidv4(),
+            timestamp,
+            day: new Date(timestamp).toISOString().slice(0, 10),
+            workspaceId,
+            agentId,
+            collaborationId,
+            provider,
+            model,
+            ...this.normalize(model, usage)
+        };
+
+        const entry = {
+            ...Object.fromEntries(ROLLUP_KEYS.map(name => [name, record[name]])),
+            calls: 1,
+            inputTokens: record.inputTokens,
+            outputTokens: record.outputTokens,
+            totalTokens: record.totalTokens,
+            cost: record.cost,
+            unpricedCalls: record.priced ? 0 : 1
+        };
+        this.add(entry);
+        this.store.append('usage', entry).catch((error) => {
+            console.error('Failed to persist usage record:', error);
+        });
+        return record;
+    }
+
+    // filter: { workspaceId, agentId, collaborationId, provider, model, from, to } where from/to are YYYY-MM-DD days
+    query(filter = {}) {
+        return Array.from(this.rollups.values()).filter(record =>
+            (!filter.workspaceId || record.workspaceId === filter.workspaceId) &&
+            (!filter.agentId || record.agentId === filter.agentId) &&
+            (!filter.collaborationId || record.collaborationId === filter.collaborationId) &&
+            (!filter.provider || record.provider === filter.provider) &&
+            (!filter.model || record.model === filter.model) &&
+            (!filter.from || record.day >= filter.from) &&
+            (!filter.to || record.day <= filter.to)
+        );
+    }
+
+    totals(filter = {}) {
+        return this.query(filter).reduce(addToTotals, emptyTotals());
+    }
+
+    aggregate(groupBy, filter = {}) {
+        const key = GROUP_KEYS[groupBy];
+        if (!key) {
+            throw new Error(`Unsupported usage grouping: ${groupBy} (use ${Object.keys(GROUP_KEYS).join(', ')})`);
+        }
+
+        const groups = new Map();
+        for (const record of this.query(filter)) {
+            const value = record[key] || 'none';
+            if (!groups.has(value)) {
+                groups.set(value, emptyTotals());
+            }
+            addToTotals(groups.get(value), record);
+        }
+
+        return Array.from(groups.entries()).map(([value, totals]) => ({ [groupBy]: value, ...totals }));
+    }
+}
+
+module.exports = { UsageTracker, GROUP_KEYS };
@@ -0,0 +1,448 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - REQUEST VALIDATION
+ * Declarative express-validator schemas for every REST body and WebSocket message
+ * Failures carry a stable code: VALIDATION_FAILED overall, plus one of REQUIRED,
+ * INVALID_TYPE, INVALID_VALUE, OUT_OF_RANGE, TOO_LONG or UNKNOWN_FIELD per field
+ */
+
+const { checkSchema, checkExact, validationResult } = require('express-validator');
+const { STRATEGIES } = require('./strategies');
+const { EXPORT_FORMATS } = require('./export');
+const { CONTEXT_STRATEGIES } = require('./context');
+const { MAX_SCHEMA_LENGTH } = require('./structured');
+const { IMAGE_TYPES, MAX_ATTACHMENT_BYTES, MAX_ATTACHMENTS } = require('./attachments');
+
+const MAX_COLLABORATION_ITERATIONS = parseInt(process.env.MAX_COLLABORATION_ITERATIONS) || 10;
+const MAX_MESSAGE_LENGTH = 100000;
+
+class ValidationError extends Error {
+    constructor(details, code = 'VALIDATION_FAILED') {
+        super(`Invalid request: ${details.map(detail => detail.message).join('; ')}`);
+        this.name = 'ValidationError';
+        this.status = 400;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function issue(code, message) {
+    return { code, message };
+}
+
+// Field schema building blocks; optional fields also accept null unless nullable is false
+function presence(optional, nullable = true) {
+    return optional
+        ? { optional: { options: { values: nullable ? 'null' : 'undefined' } } }
+        : { exists: { errorMessage: issue('REQUIRED', 'is required'), bail: true } };
+}
+
+function text({ optional = false, nullable = true, max = 1000 } = {}) {
+    return {
+        ...presence(optional, nullable),
+        isString: { errorMessage: issue('INVALID_TYPE', 'must be a string'), bail: true },
+        notEmpty: { options: { ignore_whitespace: true }, errorMessage: issue('REQUIRED', 'must not be empty'), bail: true },
+        isLength: { options: { max }, errorMessage: issue('TOO_LONG', `must be at most ${max} characters`) }
+    };
+}
+
+// `above` is an exclusive lower bound, for limits where zero is meaningless
+function number({ optional = false, min, above, max, integer = false } = {}) {
+    const range = [
+        min !== undefined && `>= ${min}`,
+        above !== undefined && `> ${above}`,
+        max !== undefined && `<= ${max}`
+    ].filter(Boolean).join(' and ');
+    return {
+        ...presence(optional),
+        custom: {
+            options: (value) => typeof value === 'number' && Number.isFinite(value) && (!integer || Number.isInteger(value)),
+            errorMessage: issue('INVALID_TYPE', `must be ${integer ? 'an integer' : 'a number'}`),
+            bail: true
+        },
+        [integer ? 'isInt' : 'isFloat']: {
+            options: { min, gt: above, max },
+            errorMessage: issue('OUT_OF_RANGE', `must be ${range}`)
+        }
+    };
+}
+
+function boolean({ optional = true } = {}) {
+    return {
+        ...presence(optional),
+        isBoolean: { options: { strict: true }, errorMessage: issue('INVALID_TYPE', 'must be true or false') }
+    };
+}
+
+function oneOf(values, { optional = false } = {}) {
+    return {
+        ...presence(optional),
+        isIn: { options: [values], errorMessage: issue('INVALID_VALUE', `must be one of ${values.join(', ')}`) }
+    };
+}
+
+// Objects list their allowed keys so nothing unexpected reaches the orchestrator or a provider
+function object(keys, { optional = true, required = [] } = {}) {
+    return {
+        ...presence(optional),
+        isObject: { options: { strict: true }, errorMessage: issue('INVALID_TYPE', 'must be an object'), bail: true },
+        custom: {
+            options: (value) => Object.keys(value).every(key => keys.includes(key)) &&
+                required.every(key => value[key] !== undefined && value[key] !== null),
+            errorMessage: required.length > 0
+                ? issue('INVALID_VALUE', `only accepts ${keys.join(', ')} and requires ${required.join(', ')}`)
+                : issue('UNKNOWN_FIELD', `only accepts ${keys.join(', ')}`)
+        }
+    };
+}
+
+function list({ optional = false, min = 0, max = 100 } = {}) {
+    return {
+        ...presence(optional),
+        isArray: { errorMessage: issue('INVALID_TYPE', 'must be an array'), bail: true },
+        custom: {
+            options: (value) => value.length >= min && value.length <= max,
+            errorMessage: issue('OUT_OF_RANGE', `must have between ${min} and ${max} items`)
+        }
+    };
+}
+
+// A JSON Schema document; its keywords are checked when the reply is validated, not here
+function jsonSchema({ optional = true } = {}) {
+    return {
+        ...presence(optional),
+        isObject: { options: { strict: true }, errorMessage: issue('INVALID_TYPE', 'must be a JSON Schema object'), bail: true },
+        custom: {
+            options: (value) => JSON.stringify(value).length <= MAX_SCHEMA_LENGTH,
+            errorMessage: issue('TOO_LONG', `must be at most ${MAX_SCHEMA_LENGTH} characters of JSON`)
+        }
+    };
+}
+
+// Template variable values: any names, each a string, number or boolean
+function templateVariables({ optional = true } = {}) {
+    return {
+        ...presence(optional),
+        isObject: { options: { strict: true }, errorMessage: issue('INVALID_TYPE', 'must be an object of variable values'), bail: true },
+        custom: {
+            options: (value) => Object.keys(value).length <= 50 && Object.values(value).every(item =>
+                ['string', 'number', 'boolean'].includes(typeof item) && String(item).length <= 5000),
+            errorMessage: issue('INVALID_VALUE', 'must hold at most 50 string, number or boolean values of up to 5000 characters')
+        }
+    };
+}
+
+// Nests a field schema under a prefix: nested('budget', { maxCost: ... }) => { 'budget.maxCost': ... }
+function nested(prefix, fields) {
+    return Object.fromEntries(Object.entries(fields).map(([key, schema]) => [`${prefix}.${key}`, schema]));
+}
+
+const BUDGET_LIMITS = {
+    maxTokens: number({ optional: true, min: 1, integer: true }),
+    maxCost: number({ optional: true, above: 0 }),
+    maxDurationMs: number({ optional: true, min: 1, integer: true })
+};
+
+function budget(prefix, { perAgent = false } = {}) {
+    return {
+        [prefix]: object([...Object.keys(BUDGET_LIMITS), ...(perAgent ? ['perAgent'] : [])]),
+        ...nested(prefix, BUDGET_LIMITS),
+        ...(perAgent && {
+            [`${prefix}.perAgent`]: object(Object.keys(BUDGET_LIMITS)),
+            ...nested(`${prefix}.perAgent`, BUDGET_LIMITS)
+        })
+    };
+}
+
+// Generation options forwarded to providers; adapters map each one explicitly
+const GENERATION_OPTIONS = {
+    temperature: number({ optional: true, min: 0, max: 2 }),
+    maxTokens: number({ optional: true, min: 1, max: 200000, integer: true }),
+    topP: number({ optional: true, min: 0, max: 1 }),
+    stop: list({ optional: true, max: 4 }),
+    'stop.*': text({ max: 100 }),
+    mock: object(['fail', 'latency']),
+    'mock.latency': number({ optional: true, min: 0, max: 60000 })
+};
+
+function generationOptions(prefix) {
+    const keys = Object.keys(GENERATION_OPTIONS).filter(key => !key.includes('.'));
+    return { [prefix]: object(keys), ...nested(prefix, GENERATION_OPTIONS) };
+}
+
+const AGENT_FIELDS = {
+    name: text({ optional: true, max: 100 }),
+    role: text({ optional: true, max: 100 }),
+    provider: text({ optional: true, max: 50 }),
+    model: text({ optional: true, max: 200 }),
+    instructions: text({ optional: true, max: 20000 }),
+    fallbacks: list({ optional: true, max: 5 }),
+    'fallbacks.*': object(['provider', 'model'], { optional: false }),
+    'fallbacks.*.provider': text({ max: 50 }),
+    'fallbacks.*.model': text({ optional: true, max: 200 }),
+    ...budget('budget'),
+    context: object(['strategy', 'maxTokens', 'reserveTokens', 'summarizer']),
+    'context.strategy': oneOf(CONTEXT_STRATEGIES, { optional: true }),
+    'context.maxTokens': number({ optional: true, min: 256, integer: true }),
+    'context.reserveTokens': number({ optional: true, min: 1, integer: true }),
+    'context.summarizer': object(['provider', 'model'], { required: ['provider'] }),
+    'context.summarizer.provider': text({ optional: true, max: 50 }),
+    'context.summarizer.model': text({ optional: true, max: 200 }),
+    tools: list({ optional: true, max: 20 }),
+    'tools.*': text({ max: 64 }),
+    longTermMemory: object(['enabled', 'limit']),
+    'longTermMemory.enabled': boolean(),
+    'longTermMemory.limit': number({ optional: true, min: 1, max: 20, integer: true }),
+    outputSchema: jsonSchema(),
+    template: object(['id', 'version', 'variables'], { required: ['id'] }),
+    'template.id': text({ optional: true, max: 100 }),
+    'template.version': number({ optional: true, min: 1, integer: true }),
+    'template.variables': templateVariables()
+};
+
+const TEMPLATE_BODY_LENGTH = 20000;
+
+// Images sent with a message: { id } of an upload, or { name, mediaType, data } with base64 data
+const ATTACHMENT_FIELDS = {
+    attachments: list({ optional: true, max: MAX_ATTACHMENTS }),
+    'attachments.*': object(['id', 'name', 'mediaType', 'data'], { optional: false }),
+    'attachments.*.id': text({ optional: true, max: 100 }),
+    'attachments.*.name': text({ optional: true, max: 255 }),
+    'attachments.*.mediaType': oneOf(IMAGE_TYPES, { optional: true }),
+    'attachments.*.data': text({ optional: true, max: Math.ceil(MAX_ATTACHMENT_BYTES / 3) * 4 + 100 })
+};
+
+const TERMINATION_FIELDS = {
+    termination: object(['sentinel', 'judge', 'stagnation']),
+    'termination.sentinel': {
+        optional: true,
+        custom: {
+            options: (value) => typeof value === 'boolean' || (typeof value === 'string' && value.trim().length > 0 && value.length <= 50),
+            errorMessage: issue('INVALID_TYPE', 'must be true, false or a marker string of up to 50 characters')
+        }
+    },
+    'termination.judge': object(['agentId', 'threshold'], { required: ['agentId'] }),
+    'termination.judge.agentId': text({ optional: true, max: 100 }),
+    'termination.judge.threshold': number({ optional: true, min: 0, max: 10 }),
+    'termination.stagnation': {
+        optional: true,
+        custom: {
+            options: (value) => typeof value === 'boolean' || (typeof value === 'object' && !Array.isArray(value) &&
+                Object.keys(value).every(key => ['threshold', 'rounds'].includes(key))),
+            errorMessage: issue('INVALID_TYPE', 'must be true, false or { threshold, rounds }')
+        }
+    },
+    'termination.stagnation.threshold': number({ optional: true, min: 0, max: 1 }),
+    'termination.stagnation.rounds': number({ optional: true, min: 1, max: 10, integer: true })
+};
+
+const COLLABORATION_FIELDS = {
+    agentIds: list({ min: 1, max: 20 }),
+    'agentIds.*': text({ max: 100 }),
+    goal: text({ max: 10000 }),
+    iterations: number({ optional: true, min: 1, max: MAX_COLLABORATION_ITERATIONS, integer: true }),
+    strategy: oneOf(Object.keys(STRATEGIES), { optional: true }),
+    ...TERMINATION_FIELDS,
+    ...budget('budget', { perAgent: true })
+};
+
+const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+const USAGE_GROUPS = ['workspace', 'agent', 'collaboration', 'provider', 'model', 'day'];
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const COLLABORATION_STATUSES = ['running', 'paused', 'completed', 'budget_exceeded', 'cancelled', 'failed', 'interrupted'];
+
+// Query strings arrive as text; these convert to integers once valid
+function queryInteger({ min, max } = {}) {
+    const range = [min !== undefined && `>= ${min}`, max !== undefined && `<= ${max}`].filter(Boolean).join(' and ');
+    return {
+        optional: true,
+        isInt: { options: { min, max }, errorMessage: issue('OUT_OF_RANGE', `must be an integer ${range}`) },
+        toInt: true
+    };
+}
+
+function day() {
+    return {
+        optional: true,
+        matches: { options: [DAY_PATTERN], errorMessage: issue('INVALID_VALUE', 'must be a YYYY-MM-DD date') }
+    };
+}
+
+// REST schemas, keyed by route; `query` schemas validate the query string instead of the body
+const schemas = {
+    credentials: {
+        username: text({ max: 100 }),
+        password: { ...presence(false), isString: { errorMessage: issue('INVALID_TYPE', 'must be a string') } }
+    },
+    createApiKey: { name: text({ optional: true, max: 100 }) },
+    createWorkspace: { name: text({ optional: true, max: 100 }) },
+    setMember: { username: text({ max: 100 }), role: oneOf(WORKSPACE_ROLES) },
+    createAgent: AGENT_FIELDS,
+    // Null has no meaning for these on an update, where it would otherwise be stored as "null"
+    updateAgent: {
+        ...AGENT_FIELDS,
+        name: text({ optional: true, nullable: false, max: 100 }),
+        role: text({ optional: true, nullable: false, max: 100 }),
+        instructions: text({ optional: true, nullable: false, max: 20000 })
+    },
+    cloneAgent: { name: text({ optional: true, max: 100 }), includeMemory: boolean() },
+    createTemplate: {
+        name: text({ max: 100 }),
+        description: text({ optional: true, max: 500 }),
+        body: text({ max: TEMPLATE_BODY_LENGTH })
+    },
+    updateTemplate: {
+        name: text({ optional: true, max: 100 }),
+        description: text({ optional: true, max: 500 }),
+        body: text({ optional: true, max: TEMPLATE_BODY_LENGTH }),
+        note: text({ optional: true, max: 200 })
+    },
+    renderTemplate: {
+        variables: templateVariables(),
+        version: number({ optional: true, min: 1, integer: true })
+    },
+    templateDiffQuery: {
+        query: { from: queryInteger({ min: 1 }), to: queryInteger({ min: 1 }) }
+    },
+    executeAgent: {
+        message: text({ max: MAX_MESSAGE_LENGTH }),
+        ...generationOptions('options'),
+        outputSchema: jsonSchema(),
+        ...ATTACHMENT_FIELDS
+    },
+    uploadAttachment: {
+        query: {
+            workspaceId: text({ optional: true, max: 100 }),
+            name: text({ optional: true, max: 255 })
+        }
+    },
+    collaborate: { ...COLLABORATION_FIELDS, wait: boolean() },
+    truncateMemory: {
+        query: { keep: queryInteger({ min: 0 }) }
+    },
+    longTermMemoryQuery: {
+        query: {
+            q: text({ optional: true, max: 500 }),
+            limit: queryInteger({ min: 1, max: 100 }),
+            offset: queryInteger({ min: 0 })
+        }
+    },
+    exportQuery: {
+        query: { format: oneOf(EXPORT_FORMATS, { optional: true }) }
+    },
+    collaborationQuery: {
+        query: {
+            workspaceId: text({ optional: true, max: 100 }),
+            status: oneOf(COLLABORATION_STATUSES, { optional: true }),
+            strategy: oneOf(Object.keys(STRATEGIES), { optional: true }),
+            agentId: text({ optional: true, max: 100 }),
+            q: text({ optional: true, max: 200 }),
+            limit: queryInteger({ min: 1, max: 100 }),
+            offset: queryInteger({ min: 0 })
+        }
+    },
+    usageQuery: {
+        query: {
+            workspaceId: text({ optional: true, max: 100 }),
+            groupBy: oneOf(USAGE_GROUPS, { optional: true }),
+            agentId: text({ optional: true, max: 100 }),
+            collaborationId: text({ optional: true, max: 100 }),
+            provider: text({ optional: true, max: 50 }),
+            model: text({ optional: true, max: 200 }),
+            from: day(),
+            to: day()
+        }
+    }
+};
+
+// WebSocket message schemas, keyed by message type (type and requestId are always allowed)
+const messageSchemas = {
+    auth: { token: text({ max: 500 }) },
+    ping: {},
+    execute_agent: {
+        agentId: text({ max: 100 }),
+        message: text({ max: MAX_MESSAGE_LENGTH }),
+        stream: boolean(),
+        context: object(['options', 'outputSchema']),
+        ...generationOptions('context.options'),
+        'context.outputSchema': jsonSchema(),
+        ...ATTACHMENT_FIELDS
+    },
+    start_collaboration: {
+        workspaceId: text({ optional: true, max: 100 }),
+        ...COLLABORATION_FIELDS
+    },
+    cancel_collaboration: { collaborationId: text({ max: 100 }) },
+    pause_collaboration: { collaborationId: text({ max: 100 }) },
+    resume_collaboration: { collaborationId: text({ max: 100 }) }
+};
+
+function formatErrors(errors) {
+    return errors.flatMap((error) => {
+        if (error.type === 'unknown_fields') {
+            return error.fields.map(field => ({
+                field: field.path,
+                code: 'UNKNOWN_FIELD',
+                message: `${field.path} is not a recognized field`
+            }));
+        }
+
+        const { code, message } = typeof error.msg === 'object' ? error.msg : issue('INVALID_VALUE', 'is invalid');
+        return [{ field: error.path, code, message: `${error.path} ${message}` }];
+    });
+}
+
+// Runs a schema against req[location] with unknown fields rejected; resolves with error details
+async function run(schema, req, location) {
+    const chain = checkExact(checkSchema(schema, [location]), {
+        locations: [location],
+        message: issue('UNKNOWN_FIELD', 'is not a recognized field')
+    });
+    await chain.run(req);
+    return formatErrors(validationResult(req).array());
+}
+
+// Express middleware: 400 { error, code: 'VALIDATION_FAILED', details: [{ field, code, message }] }
+function validate(schema) {
+    const location = schema.query ? 'query' : 'body';
+    const fields = schema.query || schema;
+
+    return async (req, res, next) => {
+        if (location === 'body' && (req.body === null || typeof req.body !== 'object' || Array.isArray(req.body))) {
+            req.body = {};
+        }
+
+        const details = await run(fields, req, location);
+        if (details.length > 0) {
+            const error = new ValidationError(details);
+            return res.status(error.status).json({ error: error.message, code: error.code, details });
+        }
+        next();
+    };
+}
+
+// Validates a parsed WebSocket message, throwing ValidationError on failure
+async function validateMessage(message) {
+    if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+        throw new ValidationError([{ field: 'message', code: 'INVALID_TYPE', message: 'message must be a JSON object' }]);
+    }
+
+    const schema = Object.prototype.hasOwnProperty.call(messageSchemas, message.type) ? messageSchemas[message.type] : null;
+    if (!schema) {
+        throw new ValidationError(
+            [{ field: 'type', code: 'INVALID_VALUE', message: `type must be one of ${Object.keys(messageSchemas).join(', ')}` }],
+            'UNKNOWN_MESSAGE_TYPE'
+        );
+    }
+
+    const details = await run({
+        type: { isString: true },
+        requestId: { optional: true },
+        ...schema
+    }, { body: message }, 'body');
+    if (details.length > 0) {
+        throw new ValidationError(details);
+    }
+}
+
+module.exports = { ValidationError, schemas, messageSchemas, validate, validateMessage };
@@ -0,0 +1,137 @@
+/**
+ * DUAL-AI ORCHESTRATOR PLATFORM - WORKSPACES
+ * Agents, collaborations and usage belong to a workspace; members hold one role:
+ *   owner  - everything, including managing members and the workspace itself
+ *   editor - create and execute agents, run collaborations, read everything
+ *   viewer - read-only access
+ * Every user gets a personal workspace the first time they need one
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const ROLE_PERMISSIONS = {
+    owner: ['read', 'execute', 'create', 'manage'],
+    editor: ['read', 'execute', 'create'],
+    viewer: ['read']
+};
+
+class AccessError extends Error {
+    constructor(message, status = 403, code = 'FORBIDDEN') {
+        super(message);
+        this.name = 'AccessError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+class WorkspaceService {
+    constructor(store) {
+        this.store = store;
+        this.pendingPersonal = new Map();
+    }
+
+    async get(workspaceId) {
+        const workspace = workspaceId ? await this.store.get('workspaces', workspaceId) : null;
+        if (!workspace) {
+            throw new AccessError('Workspace not found', 404, 'NOT_FOUND');
+        }
+        return workspace;
+    }
+
+    roleOf(workspace, userId) {
+        const member = workspace.members.find(m => m.userId === userId);
+        return member ? member.role : null;
+    }
+
+    async listForUser(userId) {
+        const workspaces = await this.store.list('workspaces');
+        return workspaces
+            .filter(workspace => this.roleOf(workspace, userId))
+            .map(workspace => ({ ...workspace, role: this.roleOf(workspace, userId) }));
+    }
+
+    async create(user, name, { personal = false } = {}) {
+        const workspace = {
+            id: uuidv4(),
+            name: String(name || `${user.username}'s workspace`).slice(0, 100),
+            personal,
+            members: [{ userId: user.id, username: user.username, role: 'owner', added: Date.now() }],
+            createdBy: user.id,
+            created: Date.now()
+        };
+        await this.store.put('workspaces', workspace);
+        return workspace;
+    }
+
+    // Returns the user's personal workspace, creating it on first use
+    async personalWorkspace(user) {
+        const workspaces = await this.store.list('workspaces');
+        const existing = workspaces.find(workspace => workspace.personal && workspace.createdBy === user.id);
+        if (existing) {
+            return existing;
+        }
+
+        // Concurrent first requests share one creation instead of racing to make two
+        if (!this.pendingPersonal.has(user.id)) {
+            const creation = this.create(user, `${user.username}'s workspace`, { personal: true })
+                .finally(() => this.pendingPersonal.delete(user.id));
+            this.pendingPersonal.set(user.id, creation);
+        }
+        return this.pendingPersonal.get(user.id);
+    }
+
+    // Throws unless the user's role in the workspace grants the permission; returns the role
+    async authorize(user, workspaceId, permission) {
+        const workspace = await this.get(workspaceId);
+        const role = this.roleOf(workspace, user.id);
+        if (!role) {
+            // Hide workspaces the user cannot see at all
+            throw new AccessError('Workspace not found', 404, 'NOT_FOUND');
+        }
+        if (!ROLE_PERMISSIONS[role].includes(permission)) {
+            throw new AccessError(`The ${role} role cannot ${permission} in this workspace`);
+        }
+        return { workspace, role };
+    }
+
+    async setMember(workspace, user, role) {
+        if (!ROLE_PERMISSIONS[role]) {
+            throw new AccessError(`Unknown role: ${role} (use ${Object.keys(ROLE_PERMISSIONS).join(', ')})`, 400, 'INVALID_ROLE');
+        }
+
+        const member = workspace.members.find(m => m.userId === user.id);
+        if (member) {
+            if (member.role === 'owner' && role !== 'owner') {
+                this.assertAnotherOwner(workspace, user.id);
+            }
+            member.role = role;
+        } else {
+            workspace.members.push({ userId: user.id, username: user.username, role, added: Date.now() });
+        }
+
+        await this.store.put('workspaces', workspace);
+        return workspace;
+    }
+
+    async removeMember(workspace, userId) {
+        const member = workspace.members.find(m => m.userId === userId);
+        if (!member) {
+            throw new AccessError('Member not found', 404, 'NOT_FOUND');
+        }
+        if (member.role === 'owner') {
+            this.assertAnotherOwner(workspace, userId);
+        }
+
+        workspace.members = workspace.members.filter(m => m.userId !== userId);
+        await this.store.put('workspaces', workspace);
+        return workspace;
+    }
+
+    assertAnotherOwner(workspace, userId) {
+        if (!workspace.members.some(m => m.role === 'owner' && m.userId !== userId)) {
+            throw new AccessError('A workspace must keep at least one owner', 400, 'LAST_OWNER');
+        }
+    }
+}
+
+module.exports = { WorkspaceService, AccessError, ROLE_PERMISSIONS };